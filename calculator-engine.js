@@ -0,0 +1,4468 @@
+/*
+ * Calculator Engine
+ * Headless expression state machine and evaluator with no DOM access.
+ * Runs in browsers (classic script or ES module via calculator-engine.mjs)
+ * and in Node (CommonJS require or ES import).
+ * 
+ * Contents:
+ * - ExpressionParser / ExpressionEvaluator: tokenizer, parser and AST evaluator
+ * - ProgrammerExpressionParser: integer syntax with bases and bitwise operators
+ * - Decimal, Fraction: exact BigInt number types
+ * - FloatArithmetic, DecimalArithmetic, RationalArithmetic, IntegerArithmetic: arithmetic backends
+ * - UnitTable: offline unit definitions for conversions such as "5 km to mi"
+ * - CalculatorEngine: input handling, evaluation, history and memory
+ * 
+ * @version 4.0.0
+ * @author Priyanshu Sahoo #PS98Tech
+ */
+
+/**
+ * Base class for every error the engine reports.
+ * `code` identifies the kind of error; `position` and `length` mark the
+ * offending part of the expression (zero-based), or null if unknown.
+ */
+class CalculatorError extends Error {
+    constructor(message, code, position = null, length = 1) {
+        super(message);
+        this.name = 'CalculatorError';
+        this.code = code;
+        this.position = position;
+        this.length = length;
+    }
+
+    /**
+     * Point the error at a different part of the input
+     * @param {number} position - New zero-based position
+     * @param {number} [length] - New length
+     */
+    relocate(position, length = this.length) {
+        this.position = position;
+        this.length = length;
+    }
+
+    /**
+     * @returns {Object} Plain description of the error
+     */
+    toJSON() {
+        return { code: this.code, message: this.message, position: this.position, length: this.length };
+    }
+}
+
+/**
+ * Error raised when an expression cannot be tokenized or parsed.
+ * `position` is the zero-based index of the offending character.
+ */
+class ExpressionSyntaxError extends CalculatorError {
+    constructor(message, position, length = 1, code = 'syntax') {
+        super(`${message} at position ${position + 1}`, code, position, length);
+        this.name = 'ExpressionSyntaxError';
+        this.reason = message;
+    }
+
+    /**
+     * Point the error at a different part of the input, keeping the
+     * position in the message in step
+     * @param {number} position - New zero-based position
+     * @param {number} [length] - New length
+     */
+    relocate(position, length = this.length) {
+        super.relocate(position, length);
+        this.message = `${this.reason} at position ${position + 1}`;
+    }
+}
+
+/**
+ * A '(' without its ')' or a ')' without its '('
+ */
+class UnbalancedParenthesesError extends ExpressionSyntaxError {
+    constructor(message, position) {
+        super(message, position, 1, 'unbalanced-parentheses');
+        this.name = 'UnbalancedParenthesesError';
+    }
+}
+
+/**
+ * Division by zero
+ */
+class DivisionByZeroError extends CalculatorError {
+    constructor(position = null) {
+        super('Division by zero', 'division-by-zero', position);
+        this.name = 'DivisionByZeroError';
+    }
+}
+
+/**
+ * A result too large to represent
+ */
+class OverflowError extends CalculatorError {
+    constructor(position = null) {
+        super('Result too large', 'overflow', position);
+        this.name = 'OverflowError';
+    }
+}
+
+/**
+ * A mathematically undefined operation, such as sqrt(-1) or tan(90°)
+ */
+class MathDomainError extends CalculatorError {
+    constructor(message, position = null, length = 1) {
+        super(message, 'domain', position, length);
+        this.name = 'MathDomainError';
+    }
+}
+
+/**
+ * A unit that is unknown, or cannot be converted to the one asked for
+ */
+class UnitError extends CalculatorError {
+    constructor(message, position = null, length = 1) {
+        super(message, 'unit', position, length);
+        this.name = 'UnitError';
+    }
+}
+
+/**
+ * Tokenizer and precedence-climbing parser for calculator expressions.
+ * Produces a small AST instead of handing the input to the JavaScript engine,
+ * so evaluation works under a Content-Security-Policy without 'unsafe-eval'.
+ *
+ * Node types: number, identifier, call, unary, postfix, binary, conversion
+ */
+class ExpressionParser {
+    /**
+     * @param {UnitTable} [units] - Units that may follow a value to convert it
+     */
+    constructor(units = new UnitTable()) {
+        this.units = units;
+
+        // Binary operators: higher precedence binds tighter
+        this.binaryOperators = {
+            '+': { precedence: 1, associativity: 'left' },
+            '-': { precedence: 1, associativity: 'left' },
+            '*': { precedence: 2, associativity: 'left' },
+            '/': { precedence: 2, associativity: 'left' },
+            '^': { precedence: 4, associativity: 'right' }
+        };
+
+        // Prefix operators and the precedence of their operand.
+        // Unary minus binds looser than '^', so -2^2 is -(2^2)
+        this.unaryOperators = {
+            '-': { precedence: 3 }
+        };
+
+        // Postfix operators bind tightest of all
+        this.postfixOperators = {
+            '!': { precedence: 5 },
+            '%': { precedence: 5 }
+        };
+
+        // Display glyphs accepted as aliases of the ASCII operators
+        this.operatorAliases = {
+            '×': '*',
+            '÷': '/',
+            '−': '-'
+        };
+
+        // Number literals are decimal; ProgrammerExpressionParser changes the base
+        this.radix = 10;
+
+        // Deepest nesting of parentheses, calls, signs and powers. Deeper
+        // input would overflow the stack instead of failing as a syntax error.
+        this.MAX_NESTING_DEPTH = 100;
+    }
+
+    /**
+     * Check if a symbol is a known operator of any kind
+     * @param {string} symbol - Operator symbol
+     * @returns {boolean} True if the parser knows the operator
+     */
+    isKnownOperator(symbol) {
+        return Boolean(this.binaryOperators[symbol] || this.unaryOperators[symbol] ||
+            this.postfixOperators[symbol]);
+    }
+
+    /**
+     * Split an expression into number, identifier, operator and punctuation tokens
+     * @param {string} expression - Expression to tokenize
+     * @returns {Array<Object>} Tokens, terminated by an 'end' token
+     */
+    tokenize(expression) {
+        const tokens = [];
+        let index = 0;
+
+        while (index < expression.length) {
+            const char = expression[index];
+
+            if (/\s/.test(char)) {
+                index++;
+                continue;
+            }
+
+            const number = this.readNumber(expression, index);
+            if (number !== null) {
+                tokens.push({ type: 'number', value: number, position: index });
+                index += number.length;
+                continue;
+            }
+
+            // Function and constant names; π is a name on its own
+            if (char === 'π') {
+                tokens.push({ type: 'identifier', value: 'π', position: index });
+                index++;
+                continue;
+            }
+
+            if (/[A-Za-z_]/.test(char)) {
+                const start = index;
+                while (index < expression.length && /[A-Za-z0-9_]/.test(expression[index])) {
+                    index++;
+                }
+                tokens.push({ type: 'identifier', value: expression.slice(start, index), position: start });
+                continue;
+            }
+
+            if (char === ',') {
+                tokens.push({ type: 'comma', value: ',', position: index });
+                index++;
+                continue;
+            }
+
+            // Two-character operators such as '<<' win over their first character
+            const pair = expression.slice(index, index + 2);
+            if (pair.length === 2 && this.isKnownOperator(pair)) {
+                tokens.push({ type: 'operator', value: pair, position: index });
+                index += 2;
+                continue;
+            }
+
+            const operator = this.operatorAliases[char] || char;
+            if (this.isKnownOperator(operator)) {
+                tokens.push({ type: 'operator', value: operator, position: index });
+                index++;
+                continue;
+            }
+
+            if (char === '(' || char === ')') {
+                tokens.push({ type: 'paren', value: char, position: index });
+                index++;
+                continue;
+            }
+
+            throw new ExpressionSyntaxError(`Unexpected character '${char}'`, index);
+        }
+
+        tokens.push({ type: 'end', value: '', position: expression.length });
+        return tokens;
+    }
+
+    /**
+     * Read the number literal starting at index, if there is one. An
+     * exponent such as "e+21" is part of it, as in results too large or
+     * small to write out ("1.5e+21"); an "e" without digits is the constant.
+     * @param {string} expression - Expression being tokenized
+     * @param {number} start - Index to read from
+     * @returns {string|null} Literal text, or null if no number starts here
+     */
+    readNumber(expression, start) {
+        if (!/[0-9.]/.test(expression[start])) return null;
+
+        let index = start;
+        let dotCount = 0;
+
+        while (index < expression.length && /[0-9.]/.test(expression[index])) {
+            if (expression[index] === '.') {
+                dotCount++;
+                if (dotCount > 1) {
+                    throw new ExpressionSyntaxError('Unexpected second decimal point', index);
+                }
+            }
+            index++;
+        }
+
+        if (expression.slice(start, index) === '.') {
+            throw new ExpressionSyntaxError('Decimal point without digits', start);
+        }
+
+        const exponent = /^[eE][+-]?\d+/.exec(expression.slice(index));
+        if (exponent) {
+            index += exponent[0].length;
+        }
+
+        return expression.slice(start, index);
+    }
+
+    /**
+     * Parse an expression into an abstract syntax tree
+     * @param {string} expression - Expression to parse
+     * @returns {Object} Root AST node
+     */
+    parse(expression) {
+        this.tokens = this.tokenize(expression);
+        this.index = 0;
+        this.depth = 0;
+
+        if (this.peek().type === 'end') {
+            throw new ExpressionSyntaxError('Empty expression', 0);
+        }
+
+        this.checkParentheses();
+
+        const ast = this.parseExpression(0);
+        const trailing = this.peek();
+
+        if (trailing.type !== 'end') {
+            throw new ExpressionSyntaxError(`Unexpected '${trailing.value}'`, trailing.position, trailing.value.length);
+        }
+
+        return ast;
+    }
+
+    /**
+     * Report the first unmatched parenthesis before parsing, so it is
+     * described as such rather than as an unexpected token
+     */
+    checkParentheses() {
+        const open = [];
+
+        for (const token of this.tokens) {
+            if (token.type !== 'paren') continue;
+
+            if (token.value === '(') {
+                open.push(token.position);
+            } else if (open.length === 0) {
+                throw new UnbalancedParenthesesError("')' without matching '('", token.position);
+            } else {
+                open.pop();
+            }
+        }
+
+        if (open.length > 0) {
+            throw new UnbalancedParenthesesError("'(' is never closed", open[open.length - 1]);
+        }
+    }
+
+    /**
+     * Get the current token without consuming it
+     * @returns {Object} Current token
+     */
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    /**
+     * Consume and return the current token
+     * @returns {Object} Consumed token
+     */
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    /**
+     * Parse binary operations whose precedence is at least minPrecedence.
+     * At the lowest level (0) a unit conversion may follow, applying to
+     * everything before it.
+     * @param {number} minPrecedence - Lowest precedence allowed at this level
+     * @returns {Object} AST node
+     * @throws {ExpressionSyntaxError} If the expression is nested too deeply
+     */
+    parseExpression(minPrecedence) {
+        if (++this.depth > this.MAX_NESTING_DEPTH) {
+            const token = this.peek();
+            throw new ExpressionSyntaxError('Expression is nested too deeply', token.position, token.value.length || 1, 'nesting');
+        }
+
+        let left = this.parseUnary();
+
+        while (true) {
+            const token = this.peek();
+            if (token.type !== 'operator') break;
+
+            const operator = this.binaryOperators[token.value];
+            if (!operator || operator.precedence < minPrecedence) break;
+
+            this.next();
+            const nextPrecedence = operator.associativity === 'left'
+                ? operator.precedence + 1
+                : operator.precedence;
+            const right = this.parseExpression(nextPrecedence);
+
+            left = { type: 'binary', operator: token.value, left, right, position: token.position };
+        }
+
+        if (minPrecedence === 0) {
+            left = this.parseConversion(left);
+        }
+
+        this.depth--;
+        return left;
+    }
+
+    /**
+     * Parse prefix operators such as unary minus
+     * @returns {Object} AST node
+     */
+    parseUnary() {
+        const token = this.peek();
+
+        if (token.type === 'operator' && this.unaryOperators[token.value]) {
+            this.next();
+            const operand = this.parseExpression(this.unaryOperators[token.value].precedence);
+            return { type: 'unary', operator: token.value, operand, position: token.position };
+        }
+
+        return this.parsePostfix(this.parsePrimary());
+    }
+
+    /**
+     * Parse a unit conversion such as "5 km to mi" after an expression; it
+     * converts the whole expression, so 2^2 km to m is 4000 and 3/8 in to mm
+     * converts the ratio. A name after the expression is a unit if it is a
+     * known one or 'to'/'in' follows it; any other name (pi in "2pi") is
+     * left for the caller to report.
+     * @param {Object} operand - AST node of the expression
+     * @returns {Object} Conversion node, or the operand if no unit follows
+     */
+    parseConversion(operand) {
+        if (this.peek().type !== 'identifier') return operand;
+
+        const start = this.index;
+        const from = this.parseUnit();
+        const keyword = this.peek();
+        const hasKeyword = keyword.type === 'identifier' && (keyword.value === 'to' || keyword.value === 'in');
+
+        if (!hasKeyword && !this.units.get(from.name)) {
+            this.index = start;
+            return operand;
+        }
+        if (!hasKeyword) {
+            throw new ExpressionSyntaxError(`Expected 'to' or 'in' after '${from.name}'`, keyword.position, keyword.value.length || 1);
+        }
+        this.next();
+        const to = this.parseUnit();
+
+        return { type: 'conversion', operand, from, to, position: from.position };
+    }
+
+    /**
+     * Parse a unit name: an identifier with an optional power (m^2) and
+     * an optional unit it is per (km/h)
+     * @returns {Object} { name, position, length }
+     */
+    parseUnit() {
+        const token = this.next();
+        if (token.type !== 'identifier') {
+            throw new ExpressionSyntaxError('Expected a unit', token.position, token.value.length || 1);
+        }
+
+        let name = token.value;
+        let end = token.position + token.value.length;
+        const following = () => this.tokens[this.index + 1];
+
+        if (this.peek().value === '^' && following().type === 'number') {
+            this.next();
+            const power = this.next();
+            name += '^' + power.value;
+            end = power.position + power.value.length;
+        }
+        if (this.peek().value === '/' && following().type === 'identifier') {
+            this.next();
+            const per = this.next();
+            name += '/' + per.value;
+            end = per.position + per.value.length;
+        }
+
+        return { name, position: token.position, length: end - token.position };
+    }
+
+    /**
+     * Apply any postfix operators (such as factorial) following an operand
+     * @param {Object} operand - Operand AST node
+     * @returns {Object} AST node
+     */
+    parsePostfix(operand) {
+        let node = operand;
+
+        while (this.peek().type === 'operator' && this.postfixOperators[this.peek().value]) {
+            const token = this.next();
+            node = { type: 'postfix', operator: token.value, operand: node, position: token.position };
+        }
+
+        return node;
+    }
+
+    /**
+     * Parse numbers, names, function calls and parenthesised sub-expressions
+     * @returns {Object} AST node
+     */
+    parsePrimary() {
+        const token = this.next();
+
+        if (token.type === 'number') {
+            const number = { type: 'number', value: token.value, radix: this.radix, position: token.position };
+            return this.parseMixedNumber(number);
+        }
+
+        if (token.type === 'identifier') {
+            const following = this.peek();
+            if (following.type === 'paren' && following.value === '(') {
+                this.next();
+                return { type: 'call', name: token.value, args: this.parseArguments(), position: token.position };
+            }
+            return { type: 'identifier', name: token.value, position: token.position };
+        }
+
+        if (token.type === 'paren' && token.value === '(') {
+            const inner = this.parseExpression(0);
+            const closing = this.next();
+
+            if (closing.type !== 'paren' || closing.value !== ')') {
+                throw new ExpressionSyntaxError("Expected ')' to close '('", closing.position, closing.value.length);
+            }
+
+            return inner;
+        }
+
+        if (token.type === 'end') {
+            throw new ExpressionSyntaxError('Unexpected end of expression', token.position);
+        }
+
+        throw new ExpressionSyntaxError(`Unexpected '${token.value}'`, token.position, token.value.length);
+    }
+
+    /**
+     * Read the fraction of a mixed number such as "1 1/2": a whole number
+     * followed directly by a ratio of whole numbers, which is added to it
+     * @param {Object} whole - Number AST node just read
+     * @returns {Object} AST node
+     */
+    parseMixedNumber(whole) {
+        const [numerator, bar, denominator] = this.tokens.slice(this.index, this.index + 3);
+        const isWhole = (token) => token && token.type === 'number' && /^\d+$/.test(token.value);
+
+        if (!isWhole(whole) || !isWhole(numerator) || bar.value !== '/' || !isWhole(denominator)) {
+            return whole;
+        }
+        this.index += 3;
+
+        const number = (token) => ({ type: 'number', value: token.value, radix: this.radix, position: token.position });
+        return {
+            type: 'binary',
+            operator: '+',
+            left: whole,
+            right: { type: 'binary', operator: '/', left: number(numerator), right: number(denominator), position: bar.position },
+            position: numerator.position
+        };
+    }
+
+    /**
+     * Parse a comma-separated argument list after the opening parenthesis
+     * @returns {Array<Object>} Argument AST nodes
+     */
+    parseArguments() {
+        const args = [];
+
+        if (this.peek().type === 'paren' && this.peek().value === ')') {
+            this.next();
+            return args;
+        }
+
+        while (true) {
+            args.push(this.parseExpression(0));
+            const token = this.next();
+
+            if (token.type === 'comma') continue;
+            if (token.type === 'paren' && token.value === ')') return args;
+
+            throw new ExpressionSyntaxError("Expected ',' or ')' in argument list", token.position, token.value.length);
+        }
+    }
+}
+
+/**
+ * Parser for programmer mode: integer literals in base 16, 10, 8 or 2
+ * (hex digits are the capitals A-F, so lower-case names stay names)
+ * and C-style bitwise operators. '^' is XOR here, not a power.
+ */
+class ProgrammerExpressionParser extends ExpressionParser {
+    /**
+     * @param {number} radix - Base of number literals: 16, 10, 8 or 2
+     */
+    constructor(radix = 10) {
+        // No conversions in this syntax, so no units
+        super(null);
+        this.radix = radix;
+        this.digits = '0123456789ABCDEF'.slice(0, radix);
+
+        // Loosest first, as in C: | ^ & shifts, then the arithmetic operators
+        this.binaryOperators = {
+            '|': { precedence: 1, associativity: 'left' },
+            'xor': { precedence: 2, associativity: 'left' },
+            '&': { precedence: 3, associativity: 'left' },
+            '<<': { precedence: 4, associativity: 'left' },
+            '>>': { precedence: 4, associativity: 'left' },
+            '+': { precedence: 5, associativity: 'left' },
+            '-': { precedence: 5, associativity: 'left' },
+            '*': { precedence: 6, associativity: 'left' },
+            '/': { precedence: 6, associativity: 'left' }
+        };
+
+        // Negation and NOT bind tighter than any binary operator
+        this.unaryOperators = {
+            '-': { precedence: 7 },
+            '~': { precedence: 7 }
+        };
+
+        this.postfixOperators = {};
+
+        this.operatorAliases = {
+            '×': '*',
+            '÷': '/',
+            '−': '-',
+            '^': 'xor'
+        };
+    }
+
+    /**
+     * Read an integer literal in the parser's base
+     * @param {string} expression - Expression being tokenized
+     * @param {number} start - Index to read from
+     * @returns {string|null} Literal text, or null if no number starts here
+     */
+    readNumber(expression, start) {
+        let index = start;
+        while (index < expression.length && this.digits.includes(expression[index])) {
+            index++;
+        }
+
+        if (index === start) {
+            if (/[0-9.]/.test(expression[start])) {
+                throw new ExpressionSyntaxError(`'${expression[start]}' is not a base-${this.radix} digit`, start);
+            }
+            return null;
+        }
+
+        return expression.slice(start, index);
+    }
+
+    /**
+     * Units need fractions, so programmer mode has no conversions
+     * @param {Object} operand - Operand AST node
+     * @returns {Object} The operand
+     */
+    parseConversion(operand) {
+        return operand;
+    }
+}
+
+/**
+ * Arbitrary-precision decimal number backed by a BigInt coefficient.
+ * Value = coefficient × 10^exponent. Instances are immutable.
+ */
+class Decimal {
+    constructor(coefficient, exponent = 0) {
+        // Normalize trailing zeros so equal values share one representation
+        while (coefficient !== 0n && coefficient % 10n === 0n) {
+            coefficient /= 10n;
+            exponent++;
+        }
+        this.coefficient = coefficient;
+        this.exponent = coefficient === 0n ? 0 : exponent;
+    }
+
+    /**
+     * Parse a decimal literal such as "12.5", "-0.001" or "1.5e-7"
+     * @param {string} text - Literal to parse
+     * @returns {Decimal} Parsed value
+     */
+    static parse(text) {
+        const match = /^([+-])?(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(String(text).trim());
+        if (!match || (!match[2] && !match[3])) {
+            throw new Error(`Invalid decimal literal '${text}'`);
+        }
+
+        const [, sign, intPart = '', fracPart = '', exp = '0'] = match;
+        let coefficient = BigInt((intPart + fracPart) || '0');
+        if (sign === '-') coefficient = -coefficient;
+
+        return new Decimal(coefficient, parseInt(exp, 10) - fracPart.length);
+    }
+
+    /**
+     * Round a coefficient by dropping its lowest digits
+     * @param {bigint} coefficient - Coefficient to round
+     * @param {number} dropDigits - Number of trailing digits to remove
+     * @param {string} rounding - 'half-up', 'half-even' or 'truncate'
+     * @param {boolean} sticky - True if non-zero digits were already discarded below these
+     * @returns {bigint} Rounded coefficient
+     */
+    static roundCoefficient(coefficient, dropDigits, rounding, sticky = false) {
+        if (dropDigits <= 0) return coefficient;
+
+        const negative = coefficient < 0n;
+        const magnitude = negative ? -coefficient : coefficient;
+        const divisor = 10n ** BigInt(dropDigits);
+        let quotient = magnitude / divisor;
+        const twiceRemainder = (magnitude % divisor) * 2n;
+
+        const aboveHalf = twiceRemainder > divisor || (twiceRemainder === divisor && sticky);
+        const exactlyHalf = twiceRemainder === divisor && !sticky;
+
+        switch (rounding) {
+            case 'truncate':
+                break;
+            case 'half-even':
+                if (aboveHalf || (exactlyHalf && quotient % 2n === 1n)) quotient++;
+                break;
+            case 'half-up':
+                if (aboveHalf || exactlyHalf) quotient++;
+                break;
+            default:
+                throw new Error(`Unknown rounding mode '${rounding}'`);
+        }
+
+        return negative ? -quotient : quotient;
+    }
+
+    /**
+     * Count the decimal digits of the coefficient
+     * @returns {number} Number of digits
+     */
+    digitCount() {
+        return (this.coefficient < 0n ? -this.coefficient : this.coefficient).toString().length;
+    }
+
+    /**
+     * @returns {boolean} True if the value is zero
+     */
+    isZero() {
+        return this.coefficient === 0n;
+    }
+
+    /**
+     * @returns {Decimal} The value with its sign flipped
+     */
+    negate() {
+        return new Decimal(-this.coefficient, this.exponent);
+    }
+
+    /**
+     * @param {Decimal} other - Addend
+     * @returns {Decimal} Exact sum
+     */
+    add(other) {
+        const exponent = Math.min(this.exponent, other.exponent);
+        const left = this.coefficient * 10n ** BigInt(this.exponent - exponent);
+        const right = other.coefficient * 10n ** BigInt(other.exponent - exponent);
+        return new Decimal(left + right, exponent);
+    }
+
+    /**
+     * @param {Decimal} other - Subtrahend
+     * @returns {Decimal} Exact difference
+     */
+    subtract(other) {
+        return this.add(other.negate());
+    }
+
+    /**
+     * @param {Decimal} other - Multiplier
+     * @returns {Decimal} Exact product
+     */
+    multiply(other) {
+        return new Decimal(this.coefficient * other.coefficient, this.exponent + other.exponent);
+    }
+
+    /**
+     * Raise to a non-negative integer power exactly
+     * @param {number} power - Exponent
+     * @returns {Decimal} Exact power
+     */
+    pow(power) {
+        return new Decimal(this.coefficient ** BigInt(power), this.exponent * power);
+    }
+
+    /**
+     * Divide, rounding the quotient to a number of significant digits
+     * @param {Decimal} other - Divisor
+     * @param {number} precision - Significant digits to keep
+     * @param {string} rounding - Rounding mode
+     * @returns {Decimal} Quotient
+     */
+    divide(other, precision, rounding) {
+        if (other.isZero()) {
+            throw new DivisionByZeroError();
+        }
+        if (this.isZero()) return this;
+
+        // Scale the dividend so the integer quotient has at least precision + 1 digits
+        const scale = Math.max(0, precision + other.digitCount() - this.digitCount() + 1);
+        const dividend = this.coefficient * 10n ** BigInt(scale);
+        const quotient = dividend / other.coefficient;
+        const sticky = dividend % other.coefficient !== 0n;
+
+        const exponent = this.exponent - other.exponent - scale;
+        const digits = (quotient < 0n ? -quotient : quotient).toString().length;
+        const dropDigits = Math.max(0, digits - precision);
+
+        return new Decimal(
+            Decimal.roundCoefficient(quotient, dropDigits, rounding, sticky),
+            exponent + dropDigits
+        );
+    }
+
+    /**
+     * Round to a number of significant digits
+     * @param {number} precision - Significant digits to keep
+     * @param {string} rounding - Rounding mode
+     * @returns {Decimal} Rounded value
+     */
+    round(precision, rounding) {
+        const dropDigits = this.digitCount() - precision;
+        if (dropDigits <= 0) return this;
+
+        return new Decimal(
+            Decimal.roundCoefficient(this.coefficient, dropDigits, rounding),
+            this.exponent + dropDigits
+        );
+    }
+
+    /**
+     * Round to a number of digits after the decimal point
+     * @param {number} places - Fraction digits to keep
+     * @param {string} rounding - Rounding mode
+     * @returns {Decimal} Rounded value
+     */
+    roundToPlaces(places, rounding) {
+        const dropDigits = -this.exponent - places;
+        if (dropDigits <= 0) return this;
+
+        return new Decimal(
+            Decimal.roundCoefficient(this.coefficient, dropDigits, rounding),
+            this.exponent + dropDigits
+        );
+    }
+
+    /**
+     * Format in plain (non-exponential) notation
+     * @returns {string} Exact decimal string
+     */
+    toString() {
+        const negative = this.coefficient < 0n;
+        let digits = (negative ? -this.coefficient : this.coefficient).toString();
+
+        if (this.exponent >= 0) {
+            digits += '0'.repeat(this.coefficient === 0n ? 0 : this.exponent);
+        } else {
+            const fractionLength = -this.exponent;
+            digits = digits.padStart(fractionLength + 1, '0');
+            digits = digits.slice(0, -fractionLength) + '.' + digits.slice(-fractionLength);
+        }
+
+        return (negative ? '-' : '') + digits;
+    }
+
+    /**
+     * Format in exponential notation, like Number.prototype.toExponential
+     * @param {number} fractionDigits - Digits after the decimal point
+     * @param {string} rounding - Rounding mode
+     * @returns {string} Exponential string
+     */
+    toExponential(fractionDigits, rounding = 'half-up') {
+        const rounded = this.round(fractionDigits + 1, rounding);
+        const negative = rounded.coefficient < 0n;
+        const digits = (negative ? -rounded.coefficient : rounded.coefficient).toString();
+        const power = rounded.exponent + digits.length - 1;
+        const mantissa = digits.padEnd(fractionDigits + 1, '0');
+        const fraction = fractionDigits > 0 ? '.' + mantissa.slice(1) : '';
+
+        return `${negative ? '-' : ''}${mantissa[0]}${fraction}e${power < 0 ? '-' : '+'}${Math.abs(power)}`;
+    }
+
+    /**
+     * Format with a fixed number of fraction digits, like Number.prototype.toFixed
+     * @param {number} places - Digits after the decimal point
+     * @param {string} rounding - Rounding mode
+     * @returns {string} Plain string
+     */
+    toFixed(places, rounding = 'half-up') {
+        const plain = this.roundToPlaces(places, rounding).toString();
+        if (places === 0) return plain;
+
+        const [integer, fraction = ''] = plain.split('.');
+        return `${integer}.${fraction.padEnd(places, '0')}`;
+    }
+
+    /**
+     * Format in engineering notation: exponential with the exponent a
+     * multiple of 3, so one to three digits come before the point
+     * @param {number} significantDigits - Digits to show
+     * @param {string} rounding - Rounding mode
+     * @returns {string} Engineering string such as "12.35e+3"
+     */
+    toEngineering(significantDigits, rounding = 'half-up') {
+        const rounded = this.round(significantDigits, rounding);
+        const power = rounded.exponent + rounded.digitCount() - 1;
+        const engineeringPower = Math.floor(power / 3) * 3;
+        const places = Math.max(0, significantDigits - (power - engineeringPower + 1));
+        const mantissa = new Decimal(rounded.coefficient, rounded.exponent - engineeringPower).toFixed(places, rounding);
+
+        return `${mantissa}e${engineeringPower < 0 ? '-' : '+'}${Math.abs(engineeringPower)}`;
+    }
+
+    /**
+     * @returns {number} Nearest double (lossy)
+     */
+    toNumber() {
+        return parseFloat(this.toString());
+    }
+
+    /**
+     * @returns {string} Exact string, so JSON.stringify keeps every digit
+     */
+    toJSON() {
+        return this.toString();
+    }
+}
+
+/**
+ * Exact rational number: numerator / denominator as BigInts in lowest
+ * terms, with the sign on the numerator. Instances are immutable.
+ */
+class Fraction {
+    constructor(numerator, denominator = 1n) {
+        if (denominator === 0n) {
+            throw new DivisionByZeroError();
+        }
+        if (denominator < 0n) {
+            numerator = -numerator;
+            denominator = -denominator;
+        }
+
+        const divisor = Fraction.gcd(numerator < 0n ? -numerator : numerator, denominator);
+        this.numerator = numerator / divisor;
+        this.denominator = denominator / divisor;
+    }
+
+    /**
+     * Greatest common divisor of two non-negative BigInts
+     * @param {bigint} a - First value
+     * @param {bigint} b - Second value
+     * @returns {bigint} Greatest common divisor
+     */
+    static gcd(a, b) {
+        while (b !== 0n) {
+            [a, b] = [b, a % b];
+        }
+        return a;
+    }
+
+    /**
+     * Parse a ratio such as "7/2" or a decimal literal such as "0.125" or "1.5e-7"
+     * @param {string} text - Text to parse
+     * @returns {Fraction} Parsed value
+     */
+    static parse(text) {
+        const parts = String(text).split('/');
+        if (parts.length > 2) {
+            throw new Error(`Invalid fraction '${text}'`);
+        }
+
+        const [numerator, denominator = '1'] = parts;
+        return Fraction.fromDecimal(Decimal.parse(numerator))
+            .divide(Fraction.fromDecimal(Decimal.parse(denominator)));
+    }
+
+    /**
+     * @param {Decimal} decimal - Exact decimal
+     * @returns {Fraction} The same value as a fraction
+     */
+    static fromDecimal(decimal) {
+        return decimal.exponent >= 0
+            ? new Fraction(decimal.coefficient * 10n ** BigInt(decimal.exponent))
+            : new Fraction(decimal.coefficient, 10n ** BigInt(-decimal.exponent));
+    }
+
+    /**
+     * @returns {Fraction} Negated value
+     */
+    negate() {
+        return new Fraction(-this.numerator, this.denominator);
+    }
+
+    /**
+     * @returns {boolean} True if the value is zero
+     */
+    isZero() {
+        return this.numerator === 0n;
+    }
+
+    /**
+     * @returns {boolean} True if the value is a whole number
+     */
+    isInteger() {
+        return this.denominator === 1n;
+    }
+
+    /**
+     * @param {Fraction} other - Addend
+     * @returns {Fraction} Exact sum
+     */
+    add(other) {
+        return new Fraction(
+            this.numerator * other.denominator + other.numerator * this.denominator,
+            this.denominator * other.denominator
+        );
+    }
+
+    /**
+     * @param {Fraction} other - Subtrahend
+     * @returns {Fraction} Exact difference
+     */
+    subtract(other) {
+        return this.add(other.negate());
+    }
+
+    /**
+     * @param {Fraction} other - Multiplier
+     * @returns {Fraction} Exact product
+     */
+    multiply(other) {
+        return new Fraction(this.numerator * other.numerator, this.denominator * other.denominator);
+    }
+
+    /**
+     * @param {Fraction} other - Divisor
+     * @returns {Fraction} Exact quotient
+     */
+    divide(other) {
+        return new Fraction(this.numerator * other.denominator, this.denominator * other.numerator);
+    }
+
+    /**
+     * Raise to an integer power exactly
+     * @param {number} power - Exponent, which may be negative
+     * @returns {Fraction} Exact power
+     */
+    pow(power) {
+        const exponent = BigInt(Math.abs(power));
+        return power >= 0
+            ? new Fraction(this.numerator ** exponent, this.denominator ** exponent)
+            : new Fraction(this.denominator ** exponent, this.numerator ** exponent);
+    }
+
+    /**
+     * Divide out to a decimal
+     * @param {number} precision - Significant digits to keep
+     * @param {string} rounding - Rounding mode
+     * @returns {Decimal} Rounded decimal
+     */
+    toDecimal(precision, rounding = 'half-up') {
+        return new Decimal(this.numerator).divide(new Decimal(this.denominator), precision, rounding);
+    }
+
+    /**
+     * @returns {number} Nearest double (lossy)
+     */
+    toNumber() {
+        return this.toDecimal(17).toNumber();
+    }
+
+    /**
+     * Format as an improper fraction, or a whole number
+     * @returns {string} Ratio such as "7/2", or "3"
+     */
+    toString() {
+        return this.isInteger() ? this.numerator.toString() : `${this.numerator}/${this.denominator}`;
+    }
+
+    /**
+     * Format as a mixed number
+     * @returns {string} Mixed number such as "3 1/2" or "-3 1/2"
+     */
+    toMixedString() {
+        const whole = this.numerator / this.denominator;
+        if (whole === 0n || this.isInteger()) {
+            return this.toString();
+        }
+
+        const remainder = this.numerator % this.denominator;
+        return `${whole} ${remainder < 0n ? -remainder : remainder}/${this.denominator}`;
+    }
+
+    /**
+     * @returns {string} Exact ratio, so JSON.stringify keeps the value
+     */
+    toJSON() {
+        return this.toString();
+    }
+}
+
+/**
+ * IEEE double arithmetic used by the evaluator in the default mode
+ */
+class FloatArithmetic {
+    fromLiteral(text) {
+        // Values stored in fraction mode are ratios such as "7/2"
+        const [numerator, denominator = '1'] = String(text).split('/');
+        return parseFloat(numerator) / parseFloat(denominator);
+    }
+
+    negate(value) {
+        return -value;
+    }
+
+    add(left, right) {
+        return left + right;
+    }
+
+    subtract(left, right) {
+        return left - right;
+    }
+
+    multiply(left, right) {
+        return left * right;
+    }
+
+    divide(left, right) {
+        return left / right;
+    }
+
+    power(left, right) {
+        return Math.pow(left, right);
+    }
+
+    factorial(value) {
+        if (!Number.isInteger(value) || value < 0) {
+            throw new MathDomainError('Factorial is only defined for non-negative integers');
+        }
+
+        let result = 1;
+        for (let i = 2; i <= value && isFinite(result); i++) {
+            result *= i;
+        }
+        return result;
+    }
+
+    toNumber(value) {
+        return value;
+    }
+
+    isZero(value) {
+        return value === 0;
+    }
+
+    fromNumber(number) {
+        return number;
+    }
+}
+
+/**
+ * Exact decimal arithmetic; only division and the final result are rounded
+ */
+class DecimalArithmetic {
+    /**
+     * @param {number} precision - Significant digits kept by division and results
+     * @param {string} rounding - 'half-up', 'half-even' or 'truncate'
+     */
+    constructor(precision = 34, rounding = 'half-up') {
+        this.precision = precision;
+        this.rounding = rounding;
+        this.MAX_EXACT_POWER = 1000;
+        this.MAX_EXACT_FACTORIAL = 1000;
+    }
+
+    fromLiteral(text) {
+        const [numerator, denominator] = String(text).split('/');
+        if (denominator === undefined) {
+            return Decimal.parse(numerator);
+        }
+        return Decimal.parse(numerator).divide(Decimal.parse(denominator), this.precision, this.rounding);
+    }
+
+    negate(value) {
+        return value.negate();
+    }
+
+    add(left, right) {
+        return left.add(right);
+    }
+
+    subtract(left, right) {
+        return left.subtract(right);
+    }
+
+    multiply(left, right) {
+        return left.multiply(right);
+    }
+
+    divide(left, right) {
+        return left.divide(right, this.precision, this.rounding);
+    }
+
+    /**
+     * Integer powers are computed exactly; anything else goes through Math.pow
+     */
+    power(left, right) {
+        const exponent = right.toNumber();
+
+        if (Number.isInteger(exponent) && Math.abs(exponent) <= this.MAX_EXACT_POWER) {
+            if (exponent >= 0) return left.pow(exponent);
+            return new Decimal(1n).divide(left.pow(-exponent), this.precision, this.rounding);
+        }
+
+        return this.fromNumber(Math.pow(left.toNumber(), exponent));
+    }
+
+    factorial(value) {
+        const n = value.toNumber();
+        if (!Number.isInteger(n) || n < 0) {
+            throw new MathDomainError('Factorial is only defined for non-negative integers');
+        }
+        if (n > this.MAX_EXACT_FACTORIAL) {
+            throw new OverflowError();
+        }
+
+        let result = 1n;
+        for (let i = 2n; i <= BigInt(n); i++) {
+            result *= i;
+        }
+        return new Decimal(result);
+    }
+
+    toNumber(value) {
+        return value.toNumber();
+    }
+
+    fromNumber(number) {
+        if (isNaN(number)) {
+            throw new MathDomainError('Result is undefined');
+        }
+        if (!isFinite(number)) {
+            throw new OverflowError();
+        }
+        return Decimal.parse(String(number));
+    }
+
+    isZero(value) {
+        return value.isZero();
+    }
+
+    /**
+     * Round a final result to the configured precision
+     * @param {Decimal} value - Result to round
+     * @returns {Decimal} Rounded result
+     */
+    finalize(value) {
+        return value.round(this.precision, this.rounding);
+    }
+}
+
+/**
+ * Exact rational arithmetic for fraction mode: 1/3 + 1/6 is exactly 1/2.
+ * Results of functions such as sqrt or sin go through a double and come
+ * back as the fraction of that double.
+ */
+class RationalArithmetic {
+    constructor() {
+        this.MAX_EXACT_POWER = 1000;
+        this.MAX_EXACT_FACTORIAL = 1000;
+    }
+
+    fromLiteral(text) {
+        return Fraction.parse(text);
+    }
+
+    negate(value) {
+        return value.negate();
+    }
+
+    add(left, right) {
+        return left.add(right);
+    }
+
+    subtract(left, right) {
+        return left.subtract(right);
+    }
+
+    multiply(left, right) {
+        return left.multiply(right);
+    }
+
+    divide(left, right) {
+        return left.divide(right);
+    }
+
+    /**
+     * Integer powers are computed exactly; anything else goes through Math.pow
+     */
+    power(left, right) {
+        const exponent = right.toNumber();
+
+        if (right.isInteger() && Math.abs(exponent) <= this.MAX_EXACT_POWER) {
+            return left.pow(exponent);
+        }
+
+        return this.fromNumber(Math.pow(left.toNumber(), exponent));
+    }
+
+    factorial(value) {
+        if (!value.isInteger() || value.numerator < 0n) {
+            throw new MathDomainError('Factorial is only defined for non-negative integers');
+        }
+        if (value.numerator > BigInt(this.MAX_EXACT_FACTORIAL)) {
+            throw new OverflowError();
+        }
+
+        let result = 1n;
+        for (let i = 2n; i <= value.numerator; i++) {
+            result *= i;
+        }
+        return new Fraction(result);
+    }
+
+    toNumber(value) {
+        return value.toNumber();
+    }
+
+    fromNumber(number) {
+        if (isNaN(number)) {
+            throw new MathDomainError('Result is undefined');
+        }
+        if (!isFinite(number)) {
+            throw new OverflowError();
+        }
+        return Fraction.parse(String(number));
+    }
+
+    isZero(value) {
+        return value.isZero();
+    }
+}
+
+/**
+ * Fixed-width integer arithmetic for programmer mode. Values are BigInts
+ * kept within the word size, so 64-bit results are exact; results that
+ * do not fit wrap around in two's complement, as in hardware.
+ */
+class IntegerArithmetic {
+    /**
+     * @param {number} wordSize - Bits per value: 8, 16, 32 or 64
+     * @param {boolean} signed - Two's-complement signed (true) or unsigned values
+     */
+    constructor(wordSize = 64, signed = true) {
+        this.wordSize = wordSize;
+        this.signed = signed;
+        this.bits = BigInt(wordSize);
+
+        // Literal prefixes BigInt() accepts for each base
+        this.PREFIXES = { 16: '0x', 10: '', 8: '0o', 2: '0b' };
+    }
+
+    /**
+     * Reduce a value to the word size
+     * @param {bigint} value - Any integer
+     * @returns {bigint} The value wrapped to wordSize bits
+     */
+    wrap(value) {
+        return this.signed ? BigInt.asIntN(this.wordSize, value) : BigInt.asUintN(this.wordSize, value);
+    }
+
+    /**
+     * Parse a literal. Non-decimal literals are bit patterns, so FF is -1
+     * in a signed 8-bit word. Decimal strings with a fraction or exponent,
+     * such as stored results from the other modes, are truncated.
+     * @param {string} text - Literal text
+     * @param {number} [radix=10] - Base of the literal
+     * @returns {bigint} Value
+     */
+    fromLiteral(text, radix = 10) {
+        if (radix !== 10) {
+            return this.wrap(BigInt(this.PREFIXES[radix] + text));
+        }
+        if (/^-?\d+$/.test(text)) {
+            return this.wrap(BigInt(text));
+        }
+        if (/^-?\d+\/\d+$/.test(text)) {
+            const [numerator, denominator] = text.split('/');
+            return this.wrap(BigInt(numerator) / BigInt(denominator));
+        }
+
+        const decimal = Decimal.parse(text);
+        return this.wrap(decimal.exponent >= 0
+            ? decimal.coefficient * 10n ** BigInt(decimal.exponent)
+            : decimal.coefficient / 10n ** BigInt(-decimal.exponent));
+    }
+
+    /**
+     * Check that a literal being typed fits the word size
+     * @param {string} text - Literal text
+     * @param {number} radix - Base of the literal
+     * @returns {boolean} True if the literal needs no more than wordSize bits
+     */
+    fits(text, radix) {
+        const value = BigInt(this.PREFIXES[radix] + text);
+        const limit = radix === 10 && this.signed
+            ? 1n << (this.bits - 1n)
+            : (1n << this.bits) - 1n;
+        return value <= limit;
+    }
+
+    /**
+     * Write a value in a base. Other bases than decimal show the
+     * two's-complement bit pattern, so -1 in 8 bits is FF.
+     * @param {bigint} value - Value to format
+     * @param {number} radix - 16, 10, 8 or 2
+     * @returns {string} Digits, with capital letters in hexadecimal
+     */
+    format(value, radix) {
+        const shown = radix === 10 ? value : BigInt.asUintN(this.wordSize, value);
+        return shown.toString(radix).toUpperCase();
+    }
+
+    negate(value) {
+        return this.wrap(-value);
+    }
+
+    add(left, right) {
+        return this.wrap(left + right);
+    }
+
+    subtract(left, right) {
+        return this.wrap(left - right);
+    }
+
+    multiply(left, right) {
+        return this.wrap(left * right);
+    }
+
+    /**
+     * Integer division, truncating toward zero
+     */
+    divide(left, right) {
+        return this.wrap(left / right);
+    }
+
+    /**
+     * Power by repeated squaring within the word, so large exponents stay cheap
+     */
+    power(left, right) {
+        if (right < 0n) {
+            throw new MathDomainError('Negative powers are not integers');
+        }
+
+        let result = 1n;
+        let base = BigInt.asUintN(this.wordSize, left);
+        for (let exponent = right; exponent > 0n; exponent >>= 1n) {
+            if (exponent & 1n) result = BigInt.asUintN(this.wordSize, result * base);
+            base = BigInt.asUintN(this.wordSize, base * base);
+        }
+        return this.wrap(result);
+    }
+
+    factorial(value) {
+        if (value < 0n) {
+            throw new MathDomainError('Factorial is only defined for non-negative integers');
+        }
+
+        // n! has at least wordSize factors of two from n = 2 × wordSize on
+        if (value >= 2n * this.bits) return 0n;
+
+        let result = 1n;
+        for (let i = 2n; i <= value; i++) {
+            result = this.wrap(result * i);
+        }
+        return result;
+    }
+
+    and(left, right) {
+        return this.wrap(left & right);
+    }
+
+    or(left, right) {
+        return this.wrap(left | right);
+    }
+
+    xor(left, right) {
+        return this.wrap(left ^ right);
+    }
+
+    not(value) {
+        return this.wrap(~value);
+    }
+
+    shiftLeft(left, right) {
+        if (right < 0n) {
+            throw new MathDomainError('Shift count must not be negative');
+        }
+        return right >= this.bits ? 0n : this.wrap(left << right);
+    }
+
+    /**
+     * Arithmetic shift for signed words (the sign bit is copied), logical
+     * shift for unsigned ones
+     */
+    shiftRight(left, right) {
+        if (right < 0n) {
+            throw new MathDomainError('Shift count must not be negative');
+        }
+        if (right >= this.bits) {
+            return left < 0n ? -1n : 0n;
+        }
+        return this.wrap(left >> right);
+    }
+
+    toNumber(value) {
+        return Number(value);
+    }
+
+    fromNumber(number) {
+        if (isNaN(number)) {
+            throw new MathDomainError('Result is undefined');
+        }
+        if (!isFinite(number)) {
+            throw new OverflowError();
+        }
+        return this.wrap(BigInt(Math.trunc(number)));
+    }
+
+    isZero(value) {
+        return value === 0n;
+    }
+}
+
+/**
+ * Built-in units by dimension. Each unit gives its size in the
+ * dimension's base unit (listed first) as a decimal string or a ratio
+ * such as "5/18", so exact decimal mode stays exact. Temperatures also
+ * have an offset, added before scaling: kelvin = (°F + 459.67) × 5/9.
+ */
+const DEFAULT_UNITS = {
+    length: {
+        m: '1', mm: '0.001', cm: '0.01', km: '1000',
+        in: '0.0254', ft: '0.3048', yd: '0.9144', mi: '1609.344', nmi: '1852'
+    },
+    mass: {
+        g: '1', mg: '0.001', kg: '1000', t: '1000000',
+        oz: '28.349523125', lb: '453.59237', st: '6350.29318'
+    },
+    volume: {
+        L: '1', l: '1', mL: '0.001', ml: '0.001', cL: '0.01', dL: '0.1',
+        'cm^3': '0.001', 'm^3': '1000',
+        tsp: '0.00492892159375', tbsp: '0.01478676478125', floz: '0.0295735295625',
+        cup: '0.2365882365', pt: '0.473176473', qt: '0.946352946', gal: '3.785411784'
+    },
+    temperature: {
+        K: '1',
+        degC: { factor: '1', offset: '273.15' },
+        degF: { factor: '5/9', offset: '459.67' }
+    },
+    area: {
+        'm^2': '1', 'mm^2': '0.000001', 'cm^2': '0.0001', 'km^2': '1000000', ha: '10000',
+        'in^2': '0.00064516', 'ft^2': '0.09290304', 'yd^2': '0.83612736',
+        acre: '4046.8564224', 'mi^2': '2589988.110336'
+    },
+    speed: {
+        'm/s': '1', 'km/h': '5/18', kph: '5/18', mph: '0.44704', kn: '463/900', 'ft/s': '0.3048'
+    },
+    time: {
+        s: '1', ms: '0.001', min: '60', h: '3600', d: '86400', wk: '604800', yr: '31557600'
+    },
+    data: {
+        bit: '1', B: '8',
+        kB: '8000', MB: '8000000', GB: '8000000000', TB: '8000000000000',
+        KiB: '8192', MiB: '8388608', GiB: '8589934592', TiB: '8796093022208',
+        kbit: '1000', Mbit: '1000000', Gbit: '1000000000'
+    }
+};
+
+/**
+ * Offline unit table for conversions. Units of the same dimension
+ * convert through the dimension's base unit; define() and load() add more.
+ */
+class UnitTable {
+    /**
+     * @param {Object} [definitions] - Units by dimension, as in DEFAULT_UNITS
+     */
+    constructor(definitions = DEFAULT_UNITS) {
+        this.units = {};
+        this.load(definitions);
+    }
+
+    /**
+     * Add units given by dimension, in the format of DEFAULT_UNITS
+     * @param {Object} definitions - dimension -> unit name -> factor or { factor, offset }
+     */
+    load(definitions) {
+        Object.keys(definitions).forEach((dimension) => {
+            Object.keys(definitions[dimension]).forEach((name) => {
+                const definition = definitions[dimension][name];
+                this.define(name, typeof definition === 'object'
+                    ? { ...definition, dimension }
+                    : { dimension, factor: definition });
+            });
+        });
+    }
+
+    /**
+     * Add or replace a unit
+     * @param {string} name - Name as written in expressions, e.g. "furlong", "m^2" or "km/h"
+     * @param {Object} definition - Unit definition
+     * @param {string} definition.dimension - Dimension, e.g. 'length'
+     * @param {string} definition.factor - Size in the dimension's base unit, e.g. "201.168" or "5/18"
+     * @param {string} [definition.offset='0'] - Added before scaling to the base unit
+     * @throws {UnitError} If the name or numbers are malformed
+     */
+    define(name, definition) {
+        if (!/^[A-Za-z_]\w*(\^\d+)?(\/[A-Za-z_]\w*)?$/.test(name)) {
+            throw new UnitError(`'${name}' cannot be used as a unit name`);
+        }
+
+        const factor = String(definition.factor);
+        const offset = String(definition.offset || '0');
+        if (!/^\d*\.?\d+(\/\d*\.?\d+)?$/.test(factor) || !/[1-9]/.test(factor.split('/').pop()) ||
+            !/^-?\d*\.?\d+$/.test(offset)) {
+            throw new UnitError(`Invalid definition for unit '${name}'`);
+        }
+
+        this.units[name] = { name, dimension: String(definition.dimension), factor, offset };
+    }
+
+    /**
+     * Look up a unit
+     * @param {string} name - Unit name
+     * @returns {Object|null} { name, dimension, factor, offset }, or null if unknown
+     */
+    get(name) {
+        return Object.prototype.hasOwnProperty.call(this.units, name) ? this.units[name] : null;
+    }
+
+    /**
+     * @returns {Array<string>} Dimensions, in the order their first unit was defined
+     */
+    getDimensions() {
+        const dimensions = [];
+        Object.keys(this.units).forEach((name) => {
+            if (!dimensions.includes(this.units[name].dimension)) {
+                dimensions.push(this.units[name].dimension);
+            }
+        });
+        return dimensions;
+    }
+
+    /**
+     * @param {string} dimension - Dimension name
+     * @returns {Array<string>} Names of its units, base unit first
+     */
+    getUnits(dimension) {
+        return Object.keys(this.units).filter((name) => this.units[name].dimension === dimension);
+    }
+
+    /**
+     * Convert a value between two units of the same dimension
+     * @param {number|Decimal} value - Value in the from unit
+     * @param {Object} from - Unit definition from get()
+     * @param {Object} to - Unit definition from get()
+     * @param {Object} arithmetic - Arithmetic backend to compute with
+     * @returns {number|Decimal} Value in the to unit
+     */
+    convert(value, from, to, arithmetic) {
+        const number = (text) => arithmetic.fromLiteral(text);
+        const [fromNumerator, fromDenominator = '1'] = from.factor.split('/');
+        const [toNumerator, toDenominator = '1'] = to.factor.split('/');
+
+        let result = from.offset === '0' ? value : arithmetic.add(value, number(from.offset));
+        result = arithmetic.divide(arithmetic.multiply(result, number(fromNumerator)), number(fromDenominator));
+        result = arithmetic.divide(arithmetic.multiply(result, number(toDenominator)), number(toNumerator));
+
+        return to.offset === '0' ? result : arithmetic.subtract(result, number(to.offset));
+    }
+}
+
+/**
+ * Walks an AST produced by ExpressionParser and computes its value
+ * using a pluggable arithmetic backend (FloatArithmetic or DecimalArithmetic)
+ */
+class ExpressionEvaluator {
+    constructor(arithmetic = new FloatArithmetic()) {
+        this.arithmetic = arithmetic;
+        
+        // Angle unit for trigonometric functions: 'deg', 'rad' or 'grad'
+        this.angleMode = 'deg';
+        
+        this.constants = {
+            'π': Math.PI,
+            pi: Math.PI,
+            e: Math.E
+        };
+        
+        // User variables and ans as number strings, kept exact in decimal mode
+        this.variables = {};
+        
+        // Units for "5 km to mi" conversions
+        this.units = new UnitTable();
+        
+        // User-defined functions (name -> { params, ast }) and the parameter
+        // bindings of the calls being evaluated, innermost last
+        this.userFunctions = {};
+        this.scopes = [];
+        
+        // Functions work on plain numbers; results are converted back by the backend
+        this.functions = {
+            sin: { arity: 1, apply: (x) => this.cleanTrig(Math.sin(this.toRadians(x))) },
+            cos: { arity: 1, apply: (x) => this.cleanTrig(Math.cos(this.toRadians(x))) },
+            tan: { arity: 1, apply: (x) => this.tangent(x) },
+            asin: { arity: 1, apply: (x) => this.fromRadians(Math.asin(x)) },
+            acos: { arity: 1, apply: (x) => this.fromRadians(Math.acos(x)) },
+            atan: { arity: 1, apply: (x) => this.fromRadians(Math.atan(x)) },
+            log: { arity: 1, apply: (x) => Math.log10(x) },
+            ln: { arity: 1, apply: (x) => Math.log(x) },
+            sqrt: { arity: 1, apply: (x) => Math.sqrt(x) },
+            root: { arity: 2, apply: (x, n) => this.nthRoot(x, n) }
+        };
+        
+        // Binary operators added by plugins (symbol -> { apply }), which
+        // work on plain numbers like the functions
+        this.customOperators = {};
+    }
+    
+    /**
+     * Evaluate an AST node. Errors are reported as CalculatorError
+     * subclasses located at the innermost node that failed.
+     * @param {Object} node - AST node
+     * @returns {number|Decimal} Result of the node
+     */
+    evaluate(node) {
+        try {
+            return this.checkFinite(this.evaluateNode(node));
+        } catch (error) {
+            throw this.locateError(error, node);
+        }
+    }
+
+    /**
+     * Evaluate a single node by type
+     * @param {Object} node - AST node
+     * @returns {number|Decimal} Result of the node
+     */
+    evaluateNode(node) {
+        switch (node.type) {
+            case 'number':
+                return this.arithmetic.fromLiteral(node.value, node.radix);
+
+            case 'identifier':
+                return this.evaluateIdentifier(node);
+
+            case 'call':
+                return this.evaluateCall(node);
+
+            case 'unary':
+                return this.applyUnary(node.operator, this.evaluate(node.operand));
+
+            case 'postfix':
+                return this.applyPostfix(node.operator, this.evaluate(node.operand));
+
+            case 'conversion':
+                return this.evaluateConversion(node);
+
+            case 'binary': {
+                if (this.isPercentAdjustment(node)) {
+                    return this.applyPercentAdjustment(node);
+                }
+
+                const left = this.evaluate(node.left);
+                const right = this.evaluate(node.right);
+                if (node.operator === '/' && this.arithmetic.isZero(right)) {
+                    throw new DivisionByZeroError(node.position);
+                }
+                return this.applyBinary(node.operator, left, right);
+            }
+
+            default:
+                throw new Error(`Unknown node type '${node.type}'`);
+        }
+    }
+
+    /**
+     * Turn floating-point Infinity and NaN into typed errors
+     * @param {number|Decimal} value - Node result
+     * @returns {number|Decimal} The same value if finite
+     */
+    checkFinite(value) {
+        if (typeof value === 'number' && !isFinite(value)) {
+            throw isNaN(value) ? new MathDomainError('Result is undefined') : new OverflowError();
+        }
+        return value;
+    }
+
+    /**
+     * Attach the node's position to an error that has none, and wrap
+     * plain errors (e.g. from Math helpers) as MathDomainError
+     * @param {Error} error - Error raised while evaluating the node
+     * @param {Object} node - Node being evaluated
+     * @returns {CalculatorError} Located error
+     */
+    locateError(error, node) {
+        const length = node.type === 'call' || node.type === 'identifier'
+            ? node.name.length
+            : node.type === 'number' ? node.value.length : 1;
+
+        // A long chain such as 1+1+...+1 can still exhaust the stack
+        if (error instanceof Error && /call stack|recursion/i.test(error.message)) {
+            return new CalculatorError('Expression is too long to evaluate', 'too-long', node.position, length);
+        }
+        if (!(error instanceof CalculatorError)) {
+            return new MathDomainError(error.message, node.position, length);
+        }
+
+        if (error.position === null) {
+            error.relocate(node.position, length);
+        }
+        return error;
+    }
+
+    /**
+     * Check for "a + b%" or "a - b%", where the percentage is taken of a
+     * @param {Object} node - Binary node
+     * @returns {boolean} True if the right operand is a percentage of the left
+     */
+    isPercentAdjustment(node) {
+        return (node.operator === '+' || node.operator === '-') &&
+            node.right.type === 'postfix' && node.right.operator === '%';
+    }
+
+    /**
+     * Evaluate "a ± b%" as a ± (a × b / 100), so 200 + 10% is 220
+     * @param {Object} node - Binary node with a percent right operand
+     * @returns {number|Decimal} Result
+     */
+    applyPercentAdjustment(node) {
+        const base = this.evaluate(node.left);
+        const percent = this.applyPostfix('%', this.evaluate(node.right.operand));
+        const amount = this.arithmetic.multiply(base, percent);
+
+        return this.applyBinary(node.operator, base, amount);
+    }
+
+    /**
+     * Resolve a named constant
+     * @param {Object} node - Identifier node
+     * @returns {number|Decimal} Constant value
+     */
+    evaluateIdentifier(node) {
+        const scope = this.scopes[this.scopes.length - 1];
+        if (scope && Object.prototype.hasOwnProperty.call(scope, node.name)) {
+            return scope[node.name];
+        }
+        if (Object.prototype.hasOwnProperty.call(this.constants, node.name)) {
+            return this.arithmetic.fromNumber(this.constants[node.name]);
+        }
+        if (Object.prototype.hasOwnProperty.call(this.variables, node.name)) {
+            return this.arithmetic.fromLiteral(this.variables[node.name]);
+        }
+        throw new ExpressionSyntaxError(`Unknown name '${node.name}'`, node.position, node.name.length);
+    }
+
+    /**
+     * Call a built-in function, checking its arity
+     * @param {Object} node - Call node
+     * @returns {number|Decimal} Function result
+     */
+    evaluateCall(node) {
+        if (!Object.prototype.hasOwnProperty.call(this.functions, node.name)) {
+            if (Object.prototype.hasOwnProperty.call(this.userFunctions, node.name)) {
+                return this.evaluateUserCall(node);
+            }
+            throw new ExpressionSyntaxError(`Unknown function '${node.name}'`, node.position, node.name.length);
+        }
+
+        const fn = this.functions[node.name];
+        if (node.args.length !== fn.arity) {
+            const plural = fn.arity === 1 ? '' : 's';
+            throw new ExpressionSyntaxError(`${node.name} expects ${fn.arity} argument${plural}`, node.position, node.name.length);
+        }
+
+        const args = node.args.map((arg) => this.arithmetic.toNumber(this.evaluate(arg)));
+        const result = fn.apply(...args);
+
+        if (typeof result !== 'number' || !isFinite(result)) {
+            throw new MathDomainError(`${node.name} is undefined for this value`, node.position, node.name.length);
+        }
+        return this.arithmetic.fromNumber(result);
+    }
+
+    /**
+     * Call a user-defined function: bind the arguments to its parameters
+     * and evaluate its body. Errors inside the body are reported at the call.
+     * @param {Object} node - Call node
+     * @returns {number|Decimal} Function result
+     */
+    evaluateUserCall(node) {
+        const fn = this.userFunctions[node.name];
+        if (node.args.length !== fn.params.length) {
+            const plural = fn.params.length === 1 ? '' : 's';
+            throw new ExpressionSyntaxError(`${node.name} expects ${fn.params.length} argument${plural}`, node.position, node.name.length);
+        }
+
+        const scope = {};
+        node.args.forEach((arg, index) => {
+            scope[fn.params[index]] = this.evaluate(arg);
+        });
+
+        this.scopes.push(scope);
+        try {
+            return this.evaluate(fn.ast);
+        } catch (error) {
+            if (error instanceof CalculatorError) {
+                error.relocate(node.position, node.name.length);
+            }
+            throw error;
+        } finally {
+            this.scopes.pop();
+        }
+    }
+
+    /**
+     * Convert the operand of a conversion node between its units
+     * @param {Object} node - Conversion node
+     * @returns {number|Decimal} Value in the target unit
+     */
+    evaluateConversion(node) {
+        const from = this.lookupUnit(node.from);
+        const to = this.lookupUnit(node.to);
+
+        if (from.dimension !== to.dimension) {
+            throw new UnitError(`Cannot convert ${from.dimension} (${from.name}) to ${to.dimension} (${to.name})`,
+                node.to.position, node.to.length);
+        }
+
+        return this.units.convert(this.evaluate(node.operand), from, to, this.arithmetic);
+    }
+
+    /**
+     * Find a unit named in an expression
+     * @param {Object} unit - { name, position, length } from the parser
+     * @returns {Object} Unit definition
+     * @throws {UnitError} If the unit is unknown
+     */
+    lookupUnit(unit) {
+        const definition = this.units.get(unit.name);
+        if (!definition) {
+            throw new UnitError(`Unknown unit '${unit.name}'`, unit.position, unit.length);
+        }
+        return definition;
+    }
+
+    /**
+     * Apply a prefix operator
+     * @param {string} operator - Operator symbol
+     * @param {number|Decimal} value - Operand
+     * @returns {number|Decimal} Result
+     */
+    applyUnary(operator, value) {
+        switch (operator) {
+            case '-': return this.arithmetic.negate(value);
+            case '~': return this.arithmetic.not(value);
+            default: throw new Error(`Unknown unary operator '${operator}'`);
+        }
+    }
+
+    /**
+     * Apply a postfix operator
+     * @param {string} operator - Operator symbol
+     * @param {number|Decimal} value - Operand
+     * @returns {number|Decimal} Result
+     */
+    applyPostfix(operator, value) {
+        switch (operator) {
+            case '!': return this.arithmetic.factorial(value);
+            case '%': return this.arithmetic.divide(value, this.arithmetic.fromLiteral('100'));
+            default: throw new Error(`Unknown postfix operator '${operator}'`);
+        }
+    }
+
+    /**
+     * Apply a binary operator
+     * @param {string} operator - Operator symbol
+     * @param {number|Decimal} left - Left operand
+     * @param {number|Decimal} right - Right operand
+     * @returns {number|Decimal} Result
+     */
+    applyBinary(operator, left, right) {
+        switch (operator) {
+            case '+': return this.arithmetic.add(left, right);
+            case '-': return this.arithmetic.subtract(left, right);
+            case '*': return this.arithmetic.multiply(left, right);
+            case '/': return this.arithmetic.divide(left, right);
+            case '^': return this.arithmetic.power(left, right);
+            case '&': return this.arithmetic.and(left, right);
+            case '|': return this.arithmetic.or(left, right);
+            case 'xor': return this.arithmetic.xor(left, right);
+            case '<<': return this.arithmetic.shiftLeft(left, right);
+            case '>>': return this.arithmetic.shiftRight(left, right);
+            default:
+                if (Object.prototype.hasOwnProperty.call(this.customOperators, operator)) {
+                    return this.applyCustomOperator(operator, left, right);
+                }
+                throw new Error(`Unknown binary operator '${operator}'`);
+        }
+    }
+
+    /**
+     * Apply an operator added by a plugin to the operands as plain numbers
+     * @param {string} operator - Operator symbol
+     * @param {number|Decimal} left - Left operand
+     * @param {number|Decimal} right - Right operand
+     * @returns {number|Decimal} Result
+     * @throws {MathDomainError} If the operator gives no finite number
+     */
+    applyCustomOperator(operator, left, right) {
+        const result = this.customOperators[operator].apply(this.arithmetic.toNumber(left), this.arithmetic.toNumber(right));
+
+        if (typeof result !== 'number' || !isFinite(result)) {
+            throw new MathDomainError(`'${operator}' is undefined for these values`);
+        }
+        return this.arithmetic.fromNumber(result);
+    }
+
+    /**
+     * Convert an angle in the current angle mode to radians
+     * @param {number} angle - Angle in deg, rad or grad
+     * @returns {number} Angle in radians
+     */
+    toRadians(angle) {
+        switch (this.angleMode) {
+            case 'deg': return angle * Math.PI / 180;
+            case 'grad': return angle * Math.PI / 200;
+            default: return angle;
+        }
+    }
+
+    /**
+     * Convert an angle in radians to the current angle mode
+     * @param {number} radians - Angle in radians
+     * @returns {number} Angle in deg, rad or grad
+     */
+    fromRadians(radians) {
+        switch (this.angleMode) {
+            case 'deg': return radians * 180 / Math.PI;
+            case 'grad': return radians * 200 / Math.PI;
+            default: return radians;
+        }
+    }
+
+    /**
+     * Remove the floating-point noise left by degree/radian conversion,
+     * so that sin(180) is 0 rather than 1.2e-16
+     * @param {number} value - Raw trigonometric result
+     * @returns {number} Cleaned result
+     */
+    cleanTrig(value) {
+        return Math.abs(value) < 1e-15 ? 0 : parseFloat(value.toPrecision(15));
+    }
+
+    /**
+     * Tangent that reports the asymptotes (e.g. tan(90°)) instead of a huge number
+     * @param {number} angle - Angle in the current angle mode
+     * @returns {number} Tangent
+     */
+    tangent(angle) {
+        const radians = this.toRadians(angle);
+        if (this.cleanTrig(Math.cos(radians)) === 0) {
+            throw new MathDomainError('Tangent is undefined for this angle');
+        }
+        return this.cleanTrig(Math.tan(radians));
+    }
+
+    /**
+     * Real nth root; negative radicands are allowed for odd integer n
+     * @param {number} x - Radicand
+     * @param {number} n - Root degree
+     * @returns {number} nth root of x
+     */
+    nthRoot(x, n) {
+        if (n === 0) {
+            throw new MathDomainError('Zeroth root is undefined');
+        }
+
+        const isOddInteger = Number.isInteger(n) && Math.abs(n % 2) === 1;
+        const root = x < 0 && isOddInteger ? -Math.pow(-x, 1 / n) : Math.pow(x, 1 / n);
+
+        // Snap results such as root(27, 3) = 3.0000000000000004 to the exact integer
+        const rounded = Math.round(root);
+        return Math.pow(rounded, n) === x ? rounded : root;
+    }
+}
+
+/**
+ * Calculator state machine: turns button/key inputs into an expression,
+ * evaluates it and keeps history and memory. Rendering and persistence
+ * are left to the host (see the Calculator view in script.js).
+ */
+class CalculatorEngine {
+    /**
+     * @param {Object} [options] - Engine options
+     * @param {string} [options.arithmeticMode] - 'float', 'decimal', 'fraction' or 'programmer'
+     * @param {string} [options.fractionFormat] - Fraction results as 'improper', 'mixed' or 'decimal'
+     * @param {number} [options.precision] - Significant digits in decimal mode
+     * @param {string} [options.rounding] - 'half-up', 'half-even' or 'truncate'
+     * @param {number} [options.radix] - Base in programmer mode: 16, 10, 8 or 2
+     * @param {number} [options.wordSize] - Bits per value in programmer mode: 8, 16, 32 or 64
+     * @param {boolean} [options.signed] - Two's-complement signed values in programmer mode
+     * @param {Object} [options.units] - Extra conversion units by dimension, in the format of DEFAULT_UNITS
+     * @param {Array<Object>} [options.plugins] - Plugins to register, see registerPlugin
+     * @param {string} [options.angleMode] - 'deg', 'rad' or 'grad'
+     * @param {string} [options.locale] - Locale for number formatting and input, e.g. 'de-DE';
+     *     the runtime (browser) locale by default
+     * @param {Object} [options.display] - Notation, decimals, significant digits and
+     *     scientific threshold of displayed results, as for setDisplayOptions
+     * @param {number} [options.historyLimit] - Maximum number of history entries
+     * @param {number} [options.undoLimit] - Maximum number of undo steps
+     * @param {boolean} [options.persistUndo=false] - Include undo/redo stacks in exportState
+     * @param {Function} [options.onChange] - Called with 'history', 'memory', 'variables',
+     *     'functions' or 'settings'
+     *     when state outside the expression changes, and with 'evaluate' and
+     *     { expression, result } when '=' produces a result
+     */
+    constructor(options = {}) {
+        // Calculator state
+        this.currentExpression = "";
+        this.lastResult = null;
+        this.lastError = null;
+        
+        // Caret position counted from the end of the expression, so code
+        // that replaces currentExpression leaves the caret at the end
+        this.caretFromEnd = 0;
+        
+        // Configuration constants
+        this.MAX_DISPLAY_LENGTH = 25;
+        this.MINIMUM_VALUE_THRESHOLD = 1e-15;
+        
+        // How results are displayed; see setDisplayOptions
+        this.DISPLAY_NOTATIONS = ['auto', 'fixed', 'significant', 'scientific', 'engineering'];
+        this.MAX_DISPLAY_DIGITS = 20;
+        this.displayOptions = {
+            notation: 'auto',
+            decimals: 10,
+            significantDigits: 7,
+            scientificThreshold: 1e10
+        };
+        
+        // Locale of displayed numbers and typed or pasted input; null
+        // follows the runtime (browser) locale
+        this.locale = null;
+        this.updateNumberSymbols();
+        
+        // Arithmetic mode: 'float' (IEEE doubles), 'decimal' (exact),
+        // 'fraction' (exact rationals) or 'programmer' (fixed-width
+        // integers); leaving programmer mode returns to the last of the others
+        this.arithmeticMode = 'float';
+        this.standardArithmeticMode = 'float';
+        this.DECIMAL_PRECISION = 34;
+        this.ROUNDING_MODE = 'half-up';
+        
+        // How fraction mode shows its results: 7/2, 3 1/2 or 3.5
+        this.FRACTION_FORMATS = ['improper', 'mixed', 'decimal'];
+        this.fractionFormat = 'improper';
+        
+        // Programmer mode: base of the input, bits per value and signedness
+        this.RADIXES = { hex: 16, dec: 10, oct: 8, bin: 2 };
+        this.WORD_SIZES = [8, 16, 32, 64];
+        this.radix = 10;
+        this.wordSize = 64;
+        this.signed = true;
+        
+        // Expression parsing and evaluation. Programmer mode swaps in its own
+        // parser; function definitions always use the standard syntax.
+        this.evaluator = new ExpressionEvaluator();
+        this.standardParser = new ExpressionParser(this.evaluator.units);
+        this.parser = this.standardParser;
+        
+        // Calculation history tape, newest first
+        this.history = [];
+        this.MAX_HISTORY_ENTRIES = 100;
+        
+        // Memory registers: the standard M register plus named slots
+        this.memory = null;
+        this.namedMemory = {};
+        
+        // User variables (name -> value string) and the last result, as ans
+        this.variables = {};
+        this.lastAnswer = null;
+        
+        // User-defined functions: name -> { name, params, body, ast }
+        this.userFunctions = {};
+        
+        // Names that would change the objects variables, registers and
+        // functions are kept in instead of being stored as a key
+        this.RESERVED_NAMES = ['__proto__', 'constructor', 'prototype'];
+        
+        // Registered plugins: name -> the operators, functions and constants they added
+        this.plugins = {};
+        
+        // Undo/redo stacks of expression snapshots, newest last
+        this.undoStack = [];
+        this.redoStack = [];
+        this.MAX_UNDO_DEPTH = 50;
+        this.persistUndo = Boolean(options.persistUndo);
+        
+        // Scientific functions and angle modes
+        this.ANGLE_MODES = ['deg', 'rad', 'grad'];
+        this.SCIENTIFIC_FUNCTIONS = ['sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'log', 'ln', 'sqrt', 'root'];
+        
+        // Inputs that only one syntax accepts
+        this.BITWISE_INPUTS = ['&', '|', '~', '<<', '>>'];
+        this.NON_INTEGER_INPUTS = ['.', 'mixed', 'pi', 'e', '!', '%', 'square', ...this.SCIENTIFIC_FUNCTIONS];
+        
+        this.onChange = typeof options.onChange === 'function' ? options.onChange : null;
+        
+        if (options.arithmeticMode) {
+            this.setArithmeticMode(options.arithmeticMode, options);
+        }
+        if (options.fractionFormat) {
+            this.setFractionFormat(options.fractionFormat);
+        }
+        if (options.angleMode) {
+            this.setAngleMode(options.angleMode);
+        }
+        if (options.locale) {
+            this.setLocale(options.locale);
+        }
+        if (options.display) {
+            this.setDisplayOptions(options.display);
+        }
+        if (options.historyLimit) {
+            this.setHistoryLimit(options.historyLimit);
+        }
+        if (options.undoLimit) {
+            this.setUndoLimit(options.undoLimit);
+        }
+        if (options.units) {
+            this.evaluator.units.load(options.units);
+        }
+        if (Array.isArray(options.plugins)) {
+            options.plugins.forEach((plugin) => this.registerPlugin(plugin));
+        }
+    }
+    
+    /**
+     * Tell the host that state outside the expression changed, or that an
+     * expression was evaluated
+     * @param {string} kind - 'history', 'memory', 'variables', 'functions', 'settings' or 'evaluate'
+     * @param {Object} [detail] - For 'evaluate', the expression and its result
+     */
+    notify(kind, detail) {
+        if (this.onChange) {
+            this.onChange(kind, detail);
+        }
+    }
+    
+    /**
+     * Check if input is a single digit: 0-9, or in programmer mode a digit
+     * of the current base (0-1, 0-7, 0-9 or 0-9 and A-F)
+     * @param {string} input - The input to check
+     * @returns {boolean} True if digit
+     */
+    isDigit(input) {
+        if (typeof input !== 'string' || input.length !== 1) return false;
+        
+        if (this.arithmeticMode === 'programmer') {
+            return '0123456789ABCDEF'.slice(0, this.radix).includes(input);
+        }
+        return input >= '0' && input <= '9';
+    }
+    
+    /**
+     * Check if character is a mathematical operator
+     * @param {string} char - Character to check
+     * @returns {boolean} True if operator
+     */
+    isOperator(char) {
+        return ["+", "-", "*", "/", "×", "÷", "^", "&", "|", "~", "<", ">"].includes(char) ||
+            Object.prototype.hasOwnProperty.call(this.evaluator.customOperators, char);
+    }
+    
+    /**
+     * Check if the expression ends with a complete operand (a number,
+     * closing parenthesis, factorial, percent, constant or variable) that can
+     * be followed by a postfix operator or an implicit multiplication.
+     * Function names are always followed by '(', so a trailing letter ends a name.
+     * @param {string} lastChar - Last character in expression
+     * @returns {boolean} True if the last character ends an operand
+     */
+    endsWithOperand(lastChar) {
+        return /[0-9A-Za-z_)!%π]/.test(lastChar);
+    }
+    
+    /**
+     * Validate if a decimal point can be added to current number
+     * @param {string} [following] - Text after the caret
+     * @returns {boolean} True if decimal can be added
+     */
+    canAddDecimal(following = "") {
+        // Split expression by operators and parentheses to get current number
+        const separator = this.getOperandSeparator();
+        const parts = this.currentExpression.split(separator);
+        const lastPart = parts[parts.length - 1];
+        const nextPart = following.split(separator)[0];
+        
+        // Check if current number already has a decimal point
+        return !lastPart.includes('.') && !nextPart.includes('.');
+    }
+    
+    /**
+     * Pattern for the characters that separate numbers: operators,
+     * parentheses and commas, including operators added by plugins
+     * @returns {RegExp} Single-character pattern
+     */
+    getOperandSeparator() {
+        const custom = Object.keys(this.evaluator.customOperators).map((symbol) => '\\' + symbol).join('');
+        return new RegExp(`[+\\-*/()^,!%${custom}]`);
+    }
+    
+    /**
+     * Comprehensive expression validation
+     * @param {string} expression - Expression to validate
+     * @returns {boolean} True if expression is valid
+     */
+    isValidExpression(expression) {
+        if (!expression || expression === "") return false;
+        
+        try {
+            this.parser.parse(expression);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    /**
+     * Evaluate a mathematical expression by parsing it into an AST
+     * @param {string} expression - Mathematical expression to evaluate
+     * @returns {number|Decimal} Result of evaluation
+     * @throws {CalculatorError} Describing what went wrong and where
+     */
+    evaluateExpression(expression) {
+        this.evaluator.variables = this.getScope();
+        
+        // Parse into an AST; reports syntax errors with their position
+        const ast = this.parser.parse(expression);
+        const result = this.evaluator.evaluate(ast);
+        
+        // Exact decimal results are rounded once, never through a double
+        if (result instanceof Decimal) {
+            return this.evaluator.arithmetic.finalize(result);
+        }
+        
+        // Programmer results are already whole numbers in the word size
+        // and fraction results are exact
+        if (typeof result === 'bigint' || result instanceof Fraction) {
+            return result;
+        }
+        
+        // Handle very small numbers (essentially zero)
+        if (Math.abs(result) < this.MINIMUM_VALUE_THRESHOLD) {
+            return 0;
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Evaluate an expression without throwing
+     * @param {string} expression - Mathematical expression to evaluate
+     * @returns {number|Decimal|string} Result of evaluation or "Error"
+     */
+    safeEvaluate(expression) {
+        try {
+            return this.evaluateExpression(expression);
+        } catch (error) {
+            return "Error";
+        }
+    }
+    
+    /**
+     * Provisional result of the expression being typed. Open parentheses
+     * are closed and a trailing operator is ignored; incomplete or
+     * invalid input gives null rather than an error.
+     * @returns {string|null} Formatted result, or null if there is nothing to show
+     */
+    getPreview() {
+        if (this.lastResult !== null) return null;
+        
+        const draft = this.evaluateDraft();
+        if (!draft) return null;
+        
+        // A plain number previews as itself; nothing to add
+        const text = draft.result.toString();
+        const formatted = this.formatNumber(text);
+        if (text === draft.expression || formatted === draft.expression) return null;
+        
+        return formatted;
+    }
+    
+    /**
+     * Evaluate the expression as far as it goes: trailing operators,
+     * separators and unfinished function calls are dropped and open
+     * parentheses are closed
+     * @returns {Object|null} { expression, result } with the part that was
+     *     evaluated, or null if there is nothing to evaluate or it fails
+     */
+    evaluateDraft() {
+        let expression = this.currentExpression;
+        let trimmed;
+        do {
+            trimmed = expression;
+            expression = expression.replace(/([a-z]+\(|[+\-*/×÷^&|~<>,(])$/, '');
+        } while (expression !== trimmed);
+        
+        if (!expression) return null;
+        const complete = expression;
+        
+        const openParens = (expression.match(/\(/g) || []).length;
+        const closeParens = (expression.match(/\)/g) || []).length;
+        expression += ')'.repeat(Math.max(0, openParens - closeParens));
+        
+        const result = this.safeEvaluate(expression);
+        return result === "Error" ? null : { expression: complete, result };
+    }
+    
+    /**
+     * The value being typed in each programmer base, for readouts beside
+     * the display
+     * @returns {Object|null} { hex, dec, oct, bin } digit strings, or null
+     *     outside programmer mode or when there is no value yet
+     */
+    getProgrammerReadouts() {
+        if (this.arithmeticMode !== 'programmer') return null;
+        
+        const draft = this.evaluateDraft();
+        if (!draft) return null;
+        
+        const arithmetic = this.evaluator.arithmetic;
+        const readouts = {};
+        Object.keys(this.RADIXES).forEach((name) => {
+            readouts[name] = arithmetic.format(draft.result, this.RADIXES[name]);
+        });
+        return readouts;
+    }
+    
+    /**
+     * Check if the display shows a pure numeric result
+     * @param {string} text - Text to check
+     * @returns {boolean} True if numeric result
+     */
+    isNumericResult(text) {
+        // Programmer input is already written in the current base
+        if (this.arithmeticMode === 'programmer') return false;
+        
+        // Fraction results are whole numbers or ratios such as "7/2", shown
+        // in the chosen format; fractions being typed are left as they are
+        if (this.arithmeticMode === 'fraction') {
+            return this.lastResult !== null && /^-?\d+(\/\d+)?$/.test(text);
+        }
+        
+        if (text === "Error" || text === "" || text === "0") return text === "0";
+        
+        // Parse as number and check validity
+        const num = parseFloat(text);
+        if (isNaN(num) || !isFinite(num)) return false;
+        
+        // Remove leading minus for validation
+        const cleanText = text.replace(/^-/, '');
+        
+        // Must be a plain number: no operators, parentheses or names
+        return /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(cleanText);
+    }
+    
+    /**
+     * Format numbers for optimal display, grouped and with the decimal
+     * separator of the locale
+     * @param {string} numStr - Number string to format
+     * @returns {string} Formatted number string
+     */
+    formatNumber(numStr) {
+        // Stored values are decimal strings; programmer mode shows them in its base
+        if (this.arithmeticMode === 'programmer') {
+            const arithmetic = this.evaluator.arithmetic;
+            try {
+                return arithmetic.format(arithmetic.fromLiteral(numStr), this.radix);
+            } catch (error) {
+                return "Error";
+            }
+        }
+        
+        return this.localizeNumber(this.formatPlainNumber(numStr));
+    }
+    
+    /**
+     * Round a number to fit the display, in the expression syntax: '.' as
+     * the decimal point and no grouping
+     * @param {string} numStr - Number string to format
+     * @returns {string} Formatted number string
+     */
+    formatPlainNumber(numStr) {
+        if (this.arithmeticMode === 'fraction') {
+            return this.formatFraction(numStr);
+        }
+        
+        // Values stored in fraction mode are ratios such as "7/2"
+        if (/^-?\d+\/\d+$/.test(numStr)) {
+            try {
+                numStr = this.evaluator.arithmetic.fromLiteral(numStr).toString();
+            } catch (error) {
+                return "Error";
+            }
+        }
+        
+        if (this.arithmeticMode === 'decimal') {
+            return this.formatDecimal(numStr);
+        }
+        
+        const num = parseFloat(numStr);
+        
+        if (isNaN(num) || !isFinite(num)) return "Error";
+        
+        const { notation, decimals, significantDigits, scientificThreshold } = this.displayOptions;
+        if (notation !== 'auto') {
+            return this.formatNotation(Decimal.parse(String(num)));
+        }
+        
+        // Handle very large or very small numbers
+        if (Math.abs(num) >= scientificThreshold || 
+            (Math.abs(num) < 1e-6 && num !== 0)) {
+            return num.toExponential(significantDigits - 1);
+        }
+        
+        // Handle decimal places
+        if (num % 1 !== 0) {
+            return parseFloat(num.toFixed(decimals)).toString();
+        }
+        
+        return num.toString();
+    }
+    
+    /**
+     * Format a value in the notation chosen with setDisplayOptions, other
+     * than auto. Fixed and significant notation switch to scientific from
+     * the threshold, and significant notation for tiny numbers as well.
+     * @param {Decimal} value - Value to format
+     * @returns {string} Formatted number string
+     */
+    formatNotation(value) {
+        const { notation, decimals, significantDigits, scientificThreshold } = this.displayOptions;
+        const magnitude = Math.abs(value.toNumber());
+        const plain = magnitude < scientificThreshold;
+        
+        if (notation === 'fixed' && plain) {
+            return value.toFixed(decimals, this.ROUNDING_MODE);
+        }
+        if (notation === 'significant' && plain && (magnitude >= 1e-6 || magnitude === 0)) {
+            return value.round(significantDigits, this.ROUNDING_MODE).toString();
+        }
+        if (notation === 'engineering') {
+            return value.toEngineering(significantDigits, this.ROUNDING_MODE);
+        }
+        
+        return value.toExponential(significantDigits - 1, this.ROUNDING_MODE);
+    }
+    
+    /**
+     * Format an exact decimal result without converting it to a double.
+     * In auto notation it shows as many digits as fit the display, grouped
+     * as they are displayed, and is scientific from the threshold on.
+     * @param {string} numStr - Decimal string to format
+     * @returns {string} Formatted decimal string
+     */
+    formatDecimal(numStr) {
+        let value;
+        try {
+            value = Decimal.parse(numStr);
+        } catch (error) {
+            return "Error";
+        }
+        
+        const { notation, significantDigits, scientificThreshold } = this.displayOptions;
+        if (notation !== 'auto') {
+            return this.formatNotation(value);
+        }
+        
+        // Drop trailing fraction digits until the plain form fits the display
+        if (Math.abs(value.toNumber()) < scientificThreshold) {
+            for (let digits = this.MAX_DISPLAY_LENGTH; digits > significantDigits; digits--) {
+                const plain = value.round(digits, this.ROUNDING_MODE).toString();
+                if (this.localizeNumber(plain).length <= this.MAX_DISPLAY_LENGTH) {
+                    return plain;
+                }
+            }
+        }
+        
+        return value.toExponential(significantDigits - 1, this.ROUNDING_MODE);
+    }
+    
+    /**
+     * Format an exact fraction as an improper fraction, a mixed number or
+     * a decimal, following fractionFormat. A fraction too long for the
+     * display is shown as a decimal; results that went through a double,
+     * such as sqrt(2), are not exact and always come back that long.
+     * @param {string} numStr - Ratio such as "7/2", or a decimal string
+     * @returns {string} Formatted fraction string
+     */
+    formatFraction(numStr) {
+        let value;
+        try {
+            value = Fraction.parse(numStr);
+        } catch (error) {
+            return "Error";
+        }
+        
+        const text = this.fractionFormat === 'mixed' ? value.toMixedString()
+            : this.fractionFormat === 'improper' ? value.toString()
+            : null;
+        
+        if (text === null || this.localizeNumber(text).length > this.MAX_DISPLAY_LENGTH) {
+            return this.formatDecimal(value.toDecimal(this.DECIMAL_PRECISION, this.ROUNDING_MODE).toString());
+        }
+        return text;
+    }
+    
+    /**
+     * Change how results are displayed; settings left out keep their values
+     * @param {Object} options - Display settings
+     * @param {string} [options.notation] - 'auto' (plain, scientific from the threshold),
+     *     'fixed', 'significant', 'scientific' (always) or 'engineering' (exponents in multiples of 3)
+     * @param {number} [options.decimals] - Digits after the point: exactly this many in
+     *     fixed notation, at most this many in auto
+     * @param {number} [options.significantDigits] - Digits in significant, scientific and
+     *     engineering notation, and in exponential results of auto notation
+     * @param {number} [options.scientificThreshold] - Magnitude from which auto, fixed and
+     *     significant notation switch to scientific
+     */
+    setDisplayOptions(options) {
+        const display = { ...this.displayOptions };
+        
+        if (this.DISPLAY_NOTATIONS.includes(options.notation)) {
+            display.notation = options.notation;
+        }
+        const decimals = parseInt(options.decimals, 10);
+        if (decimals >= 0 && decimals <= this.MAX_DISPLAY_DIGITS) {
+            display.decimals = decimals;
+        }
+        const significantDigits = parseInt(options.significantDigits, 10);
+        if (significantDigits >= 1 && significantDigits <= this.MAX_DISPLAY_DIGITS) {
+            display.significantDigits = significantDigits;
+        }
+        const threshold = Number(options.scientificThreshold);
+        if (threshold > 0 && isFinite(threshold)) {
+            display.scientificThreshold = threshold;
+        }
+        
+        this.displayOptions = display;
+        this.notify('settings');
+    }
+    
+    /**
+     * Text to copy: a result as it is displayed, or else the expression in
+     * the locale's symbols
+     * @returns {string} Text for the clipboard
+     */
+    getCopyText() {
+        if (this.lastResult !== null && this.isNumericResult(this.currentExpression)) {
+            return this.formatNumber(this.currentExpression);
+        }
+        return this.localizeExpression(this.currentExpression);
+    }
+    
+    /**
+     * Write the numbers in formatted text with the digit grouping and
+     * decimal separator of the locale: "1234.5" is "1.234,5" in German
+     * @param {string} text - Formatted number, fraction or exponential string
+     * @returns {string} Localized text
+     */
+    localizeNumber(text) {
+        return text.replace(/(\d+)(\.\d*)?/g, (match, integer, fraction = '') =>
+            this.numberFormat.format(BigInt(integer)) + fraction.replace('.', this.numberSymbols.decimal));
+    }
+    
+    /**
+     * Show an expression being typed in the locale's symbols, one character
+     * for one, so positions in it stay those of the expression. Where the
+     * decimal separator is ',' arguments are separated by ';'.
+     * @param {string} text - Expression text
+     * @returns {string} Localized text of the same length
+     */
+    localizeExpression(text) {
+        const { decimal } = this.numberSymbols;
+        if (this.arithmeticMode === 'programmer' || decimal === '.') return text;
+        
+        return text.replace(/[.,]/g, (char) => {
+            if (char === '.') return decimal;
+            return decimal === ',' ? ';' : char;
+        });
+    }
+    
+    /**
+     * Read text written for the locale, such as pasted "1.234,5" in German,
+     * back into the expression syntax
+     * @param {string} text - Localized text
+     * @returns {string} Expression text
+     */
+    delocalizeExpression(text) {
+        const { group, decimal } = this.numberSymbols;
+        const escape = (symbol) => symbol.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        
+        // Spaces and apostrophes that some locales group digits with
+        let expression = String(text).trim().replace(/(\d)[\u00a0\u2009\u202f'\u2019](?=\d)/g, '$1');
+        
+        // Where the locale groups with a space, a typed plain space groups
+        // digits too: "1 234,5" in French
+        if (/\s/.test(group)) {
+            expression = expression.replace(/(\d) (?=\d{3}(?!\d))/g, '$1');
+        }
+        
+        // A single grouped number such as "1,234.5" or "1.234,5"
+        const grouped = new RegExp(`^[+-]?\\d{1,3}(${escape(group)}\\d{3})+(${escape(decimal)}\\d+)?$`);
+        if (grouped.test(expression)) {
+            return expression.split(group).join('').replace(decimal, '.');
+        }
+        
+        if (decimal !== ',') return expression;
+        
+        // Comma locales group with '.', write the decimal point as ','
+        // and separate arguments with ';'
+        return expression
+            .replace(/(\d)\.(?=\d{3}(?!\d))/g, '$1')
+            .replace(/[,;]/g, (char) => (char === ',' ? '.' : ','));
+    }
+    
+    /**
+     * Set the locale of displayed numbers and of typed or pasted input
+     * @param {string|null} locale - BCP 47 tag such as 'de-DE', or null for the runtime default
+     */
+    setLocale(locale) {
+        if (locale) {
+            let supported;
+            try {
+                supported = Intl.NumberFormat.supportedLocalesOf(locale);
+            } catch (error) {
+                supported = [];
+            }
+            if (supported.length === 0) {
+                console.warn(`Unknown locale: ${locale}`);
+                return;
+            }
+        }
+        
+        this.locale = locale || null;
+        this.updateNumberSymbols();
+        this.notify('settings');
+    }
+    
+    /**
+     * Read the digit grouping and decimal separator of the current locale
+     */
+    updateNumberSymbols() {
+        // Digits stay 0-9 whatever the locale's own numbering system
+        this.numberFormat = new Intl.NumberFormat(this.locale || undefined, { numberingSystem: 'latn' });
+        
+        const parts = this.numberFormat.formatToParts(12345.6);
+        const symbol = (type, fallback) => (parts.find((part) => part.type === type) || { value: fallback }).value;
+        this.numberSymbols = { group: symbol('group', ','), decimal: symbol('decimal', '.') };
+    }
+    
+    /**
+     * Insert pasted text at the caret, replacing a finished result.
+     * Numbers may be written for the locale.
+     * @param {string} text - Pasted text
+     */
+    pasteText(text) {
+        const expression = this.delocalizeExpression(text).replace(/[\r\n\t]+/g, ' ').trim();
+        if (!expression) return;
+        
+        this.lastError = null;
+        const before = this.createSnapshot();
+        
+        this.editAtCaret(() => {
+            if (this.lastResult !== null) {
+                this.currentExpression = "";
+                this.lastResult = null;
+            }
+            this.currentExpression += expression;
+        });
+        
+        this.recordUndo(before);
+    }
+    
+    /**
+     * Switch between floating-point, exact decimal, fraction and programmer (integer) arithmetic.
+     * The input is left as it is; see toggleProgrammerMode for carrying it over.
+     * @param {string} mode - 'float', 'decimal', 'fraction' or 'programmer'
+     * @param {Object} [options] - Decimal and programmer options
+     * @param {number} [options.precision] - Significant digits kept by division and results
+     * @param {string} [options.rounding] - 'half-up', 'half-even' or 'truncate'
+     * @param {number} [options.radix] - Programmer base: 16, 10, 8 or 2
+     * @param {number} [options.wordSize] - Programmer word size: 8, 16, 32 or 64 bits
+     * @param {boolean} [options.signed] - Two's-complement signed (true) or unsigned words
+     */
+    setArithmeticMode(mode, options = {}) {
+        if (!['float', 'decimal', 'fraction', 'programmer'].includes(mode)) {
+            console.warn(`Unknown arithmetic mode: ${mode}`);
+            return;
+        }
+        
+        if (options.precision !== undefined) {
+            const precision = parseInt(options.precision, 10);
+            if (precision > 0) this.DECIMAL_PRECISION = precision;
+        }
+        if (['half-up', 'half-even', 'truncate'].includes(options.rounding)) {
+            this.ROUNDING_MODE = options.rounding;
+        }
+        
+        const radix = parseInt(options.radix, 10);
+        if (Object.values(this.RADIXES).includes(radix)) {
+            this.radix = radix;
+        }
+        const wordSize = parseInt(options.wordSize, 10);
+        if (this.WORD_SIZES.includes(wordSize)) {
+            this.wordSize = wordSize;
+        }
+        if (typeof options.signed === 'boolean') {
+            this.signed = options.signed;
+        }
+        
+        this.arithmeticMode = mode;
+        if (mode === 'programmer') {
+            this.evaluator.arithmetic = new IntegerArithmetic(this.wordSize, this.signed);
+            this.parser = new ProgrammerExpressionParser(this.radix);
+        } else {
+            this.standardArithmeticMode = mode;
+            if (mode === 'decimal') {
+                this.evaluator.arithmetic = new DecimalArithmetic(this.DECIMAL_PRECISION, this.ROUNDING_MODE);
+            } else if (mode === 'fraction') {
+                this.evaluator.arithmetic = new RationalArithmetic();
+            } else {
+                this.evaluator.arithmetic = new FloatArithmetic();
+            }
+            this.parser = this.standardParser;
+        }
+        
+        this.notify('settings');
+    }
+    
+    /**
+     * Enter or leave programmer mode. The two syntaxes differ, so only the
+     * value of the input is carried over, truncated to an integer on the way in.
+     */
+    toggleProgrammerMode() {
+        const value = this.getCurrentValue();
+        const entering = this.arithmeticMode !== 'programmer';
+        
+        this.setArithmeticMode(entering ? 'programmer' : this.standardArithmeticMode);
+        this.clearCalculator();
+        
+        // Undo steps hold input in the other syntax
+        this.undoStack = [];
+        this.redoStack = [];
+        
+        if (value !== null) {
+            const arithmetic = this.evaluator.arithmetic;
+            this.lastResult = arithmetic.fromLiteral(value, 10);
+            this.currentExpression = entering
+                ? arithmetic.format(this.lastResult, this.radix)
+                : this.lastResult.toString();
+        }
+    }
+    
+    /**
+     * Change the programmer base, word size or signedness. Numbers in the
+     * input are rewritten for the new settings and keep their values,
+     * wrapped to the new word size.
+     * @param {Object} options - radix, wordSize and/or signed, as for setArithmeticMode
+     */
+    setProgrammerOptions(options) {
+        if (this.arithmeticMode !== 'programmer') {
+            this.setArithmeticMode(this.arithmeticMode, options);
+            return;
+        }
+        
+        let numbers;
+        try {
+            numbers = this.parser.tokenize(this.currentExpression).filter((token) => token.type === 'number');
+        } catch (error) {
+            // Input the tokenizer rejects is left as it is
+            numbers = [];
+        }
+        const values = numbers.map((token) => this.evaluator.arithmetic.fromLiteral(token.value, this.radix));
+        
+        this.setArithmeticMode('programmer', options);
+        const arithmetic = this.evaluator.arithmetic;
+        
+        // Replace from the end so the earlier positions stay valid
+        for (let index = numbers.length - 1; index >= 0; index--) {
+            const { position, value } = numbers[index];
+            const text = arithmetic.format(arithmetic.wrap(values[index]), this.radix);
+            this.currentExpression = this.currentExpression.slice(0, position) + text +
+                this.currentExpression.slice(position + value.length);
+        }
+        
+        if (typeof this.lastResult === 'bigint') {
+            this.lastResult = arithmetic.wrap(this.lastResult);
+        }
+        this.caretFromEnd = 0;
+        
+        // Undo steps hold input written for the old settings
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+    
+    /**
+     * Set the programmer base
+     * @param {number} radix - 16, 10, 8 or 2
+     */
+    setRadix(radix) {
+        this.setProgrammerOptions({ radix });
+    }
+    
+    /**
+     * Set the programmer word size
+     * @param {number} wordSize - 8, 16, 32 or 64 bits
+     */
+    setWordSize(wordSize) {
+        this.setProgrammerOptions({ wordSize });
+    }
+    
+    /**
+     * Cycle the word size 8 → 16 → 32 → 64 bits
+     */
+    cycleWordSize() {
+        const index = this.WORD_SIZES.indexOf(this.wordSize);
+        this.setWordSize(this.WORD_SIZES[(index + 1) % this.WORD_SIZES.length]);
+    }
+    
+    /**
+     * Choose signed (two's complement) or unsigned programmer values
+     * @param {boolean} signed - True for signed
+     */
+    setSigned(signed) {
+        this.setProgrammerOptions({ signed: Boolean(signed) });
+    }
+    
+    /**
+     * Choose how fraction mode shows its results
+     * @param {string} format - 'improper' (7/2), 'mixed' (3 1/2) or 'decimal' (3.5)
+     */
+    setFractionFormat(format) {
+        if (!this.FRACTION_FORMATS.includes(format)) {
+            console.warn(`Unknown fraction format: ${format}`);
+            return;
+        }
+        
+        this.fractionFormat = format;
+        this.notify('settings');
+    }
+    
+    /**
+     * Cycle the fraction format improper → mixed → decimal
+     */
+    cycleFractionFormat() {
+        const index = this.FRACTION_FORMATS.indexOf(this.fractionFormat);
+        this.setFractionFormat(this.FRACTION_FORMATS[(index + 1) % this.FRACTION_FORMATS.length]);
+    }
+    
+    /**
+     * Main input handler with comprehensive logic.
+     * Inputs are the button ids: digits, operators, "clear", "equal", "sin", "mr", ...
+     * @param {string} input - The input to handle
+     */
+    handleInput(input) {
+        // Any key dismisses the previous error
+        this.lastError = null;
+        
+        const before = this.createSnapshot();
+        
+        // Handle different input types
+        switch(input) {
+            case "undo":
+                this.undo();
+                return;
+                
+            case "redo":
+                this.redo();
+                return;
+                
+            case "caret-left":
+            case "caret-right":
+            case "caret-home":
+            case "caret-end":
+                this.moveCaret(input.slice(6));
+                return;
+                
+            case "clear":
+                this.clearCalculator();
+                break;
+                
+            case "delete":
+                this.handleDelete();
+                break;
+                
+            case "equal":
+                this.calculateResult();
+                break;
+                
+            case "mc":
+            case "mr":
+            case "m+":
+            case "m-":
+            case "ms":
+                this.handleMemoryInput(input);
+                break;
+                
+            case "exact":
+                if (this.arithmeticMode !== 'programmer') {
+                    this.setArithmeticMode(this.arithmeticMode === 'decimal' ? 'float' : 'decimal');
+                }
+                break;
+                
+            case "fraction":
+                if (this.arithmeticMode !== 'programmer') {
+                    this.setArithmeticMode(this.arithmeticMode === 'fraction' ? 'float' : 'fraction');
+                }
+                break;
+                
+            case "fraction-format":
+                this.cycleFractionFormat();
+                return;
+                
+            case "programmer":
+                this.toggleProgrammerMode();
+                return;
+                
+            case "hex":
+            case "dec":
+            case "oct":
+            case "bin":
+                this.setRadix(this.RADIXES[input]);
+                return;
+                
+            case "word-size":
+                this.cycleWordSize();
+                return;
+                
+            case "signed":
+                this.setSigned(!this.signed);
+                return;
+                
+            case "angle":
+                this.cycleAngleMode();
+                break;
+                
+            default:
+                this.editAtCaret((following) => this.handleEditInput(input, following));
+                break;
+        }
+        
+        this.recordUndo(before);
+    }
+    
+    /**
+     * Handle an input that edits the expression. Runs inside editAtCaret,
+     * so currentExpression holds only the text before the caret.
+     * @param {string} input - The input to handle
+     * @param {string} following - Text after the caret
+     */
+    handleEditInput(input, following) {
+        const lastChar = this.currentExpression.slice(-1);
+        
+        // Programmer mode has no fractions, constants, scientific functions
+        // or plugin operators; the other modes have no bitwise operators
+        const unsupported = this.arithmeticMode === 'programmer'
+            ? [...this.NON_INTEGER_INPUTS, ...Object.keys(this.evaluator.customOperators)]
+            : this.BITWISE_INPUTS;
+        if (unsupported.includes(input)) return;
+        
+        switch(input) {
+            case "backspace":
+                this.handleBackspace();
+                break;
+                
+            case "pi":
+                this.handleConstantInput("π", lastChar);
+                break;
+                
+            case "e":
+                this.handleConstantInput("e", lastChar);
+                break;
+                
+            case "!":
+            case "%":
+                this.handlePostfixInput(input, lastChar);
+                break;
+                
+            case "square":
+                this.handlePostfixInput("^2", lastChar);
+                break;
+                
+            case ",":
+                this.handleArgumentSeparator(lastChar);
+                break;
+                
+            case ".":
+                this.handleDecimalInput(lastChar, following);
+                break;
+                
+            case "mixed":
+                this.handleMixedInput();
+                break;
+                
+            case "<<":
+            case ">>":
+                this.handleOperatorInput(input, lastChar);
+                break;
+                
+            case "~":
+                this.handleNotInput(lastChar);
+                break;
+                
+            default:
+                if (this.isDigit(input)) {
+                    this.handleNumberInput(input, lastChar);
+                } else if (this.isOperator(input)) {
+                    this.handleOperatorInput(input, lastChar);
+                } else if (input === "(" || input === ")") {
+                    this.handleParenthesesInput(input, lastChar);
+                } else if (Object.prototype.hasOwnProperty.call(this.evaluator.functions, input) ||
+                    Object.prototype.hasOwnProperty.call(this.userFunctions, input)) {
+                    this.handleFunctionInput(input, lastChar);
+                } else if (Object.prototype.hasOwnProperty.call(this.evaluator.constants, input) ||
+                    Object.prototype.hasOwnProperty.call(this.getScope(), input)) {
+                    this.handleConstantInput(input, lastChar);
+                }
+                break;
+        }
+    }
+    
+    /**
+     * Run an edit at the caret. The edit sees only the text before the
+     * caret, appends to or trims it like at the end of the input, and
+     * the text after the caret is put back afterwards.
+     * @param {Function} edit - Called with the text after the caret
+     */
+    editAtCaret(edit) {
+        const caret = this.getCaret();
+        const following = this.currentExpression.slice(caret);
+        this.currentExpression = this.currentExpression.slice(0, caret);
+        
+        // A result is only replaced by typing when the caret is at its end
+        if (following) {
+            this.lastResult = null;
+        }
+        
+        edit(following);
+        
+        this.currentExpression += following;
+        this.caretFromEnd = following.length;
+    }
+    
+    /**
+     * Get the caret position
+     * @returns {number} Zero-based index into currentExpression
+     */
+    getCaret() {
+        return Math.max(0, this.currentExpression.length - this.caretFromEnd);
+    }
+    
+    /**
+     * Move the caret one step or to either end. Function and variable
+     * names are stepped over as a whole.
+     * @param {string} direction - 'left', 'right', 'home' or 'end'
+     */
+    moveCaret(direction) {
+        const expression = this.currentExpression;
+        let caret = this.getCaret();
+        
+        if (direction === 'home') {
+            caret = 0;
+        } else if (direction === 'end') {
+            caret = expression.length;
+        } else if (direction === 'left' && caret > 0) {
+            const name = /[A-Za-z_]\w*\(?$/.exec(expression.slice(0, caret));
+            caret -= name ? name[0].length : 1;
+        } else if (direction === 'right' && caret < expression.length) {
+            const name = /^[A-Za-z_]\w*\(?/.exec(expression.slice(caret));
+            caret += name ? name[0].length : 1;
+        }
+        
+        this.setCaret(caret);
+    }
+    
+    /**
+     * Place the caret at an index, e.g. where the display was clicked.
+     * An index inside a function or variable name is moved to the end of the name.
+     * @param {number} index - Zero-based position in currentExpression
+     */
+    setCaret(index) {
+        const expression = this.currentExpression;
+        let caret = Math.max(0, Math.min(parseInt(index, 10) || 0, expression.length));
+        
+        if (/[A-Za-z_]\w*$/.test(expression.slice(0, caret))) {
+            caret += /^\w*\(?/.exec(expression.slice(caret))[0].length;
+        }
+        
+        // Moving the caret starts editing the result
+        if (caret !== this.getCaret()) {
+            this.lastResult = null;
+        }
+        this.caretFromEnd = expression.length - caret;
+        this.lastError = null;
+    }
+    
+    /**
+     * Replace the expression, with the caret at its end. The change can
+     * be undone like an edit.
+     * @param {string} expression - New expression
+     */
+    setExpression(expression) {
+        const before = this.createSnapshot();
+        
+        this.currentExpression = String(expression);
+        this.caretFromEnd = 0;
+        this.lastResult = null;
+        this.lastError = null;
+        this.recordUndo(before);
+    }
+    
+    /**
+     * Clear calculator state
+     */
+    clearCalculator() {
+        this.currentExpression = "";
+        this.caretFromEnd = 0;
+        this.lastResult = null;
+    }
+    
+    /**
+     * Handle backspace input
+     */
+    handleBackspace() {
+        // Names are removed whole, functions together with their opening parenthesis
+        const nameMatch = /[A-Za-z_]\w*\(?$/.exec(this.currentExpression);
+        const removeLength = nameMatch ? nameMatch[0].length : 1;
+        
+        this.currentExpression = this.currentExpression.slice(0, -removeLength);
+        if (this.lastResult !== null && this.currentExpression === this.lastResult.toString().slice(0, -1)) {
+            this.lastResult = null;
+        }
+    }
+    
+    /**
+     * Handle forward delete: remove the character after the caret
+     */
+    handleDelete() {
+        const caret = this.getCaret();
+        const following = this.currentExpression.slice(caret);
+        if (!following) return;
+        
+        // Names are removed whole, functions together with their opening parenthesis
+        const nameMatch = /^[A-Za-z_]\w*\(?/.exec(following);
+        const removeLength = nameMatch ? nameMatch[0].length : 1;
+        
+        this.currentExpression = this.currentExpression.slice(0, caret) + following.slice(removeLength);
+        this.caretFromEnd = following.length - removeLength;
+        this.lastResult = null;
+    }
+    
+    /**
+     * Calculate and display result. On failure the expression is kept so it
+     * can be corrected, and the error is stored in lastError.
+     */
+    calculateResult() {
+        if (!this.currentExpression) return;
+        
+        // "f(x) = expression" defines a function and clears the input
+        if (/^\s*[A-Za-z_]\w*\s*\([^)]*\)\s*=/.test(this.currentExpression)) {
+            try {
+                this.defineFunction(this.currentExpression);
+            } catch (error) {
+                if (!(error instanceof CalculatorError)) throw error;
+                this.lastError = error;
+                return;
+            }
+            this.clearCalculator();
+            return;
+        }
+        
+        // "name = expression" assigns a variable and shows its value
+        const assignment = /^\s*([A-Za-z_]\w*)\s*=/.exec(this.currentExpression);
+        
+        let result;
+        try {
+            result = assignment
+                ? this.assignVariable(assignment[1], this.currentExpression.slice(assignment[0].length), assignment[0].length)
+                : this.evaluateExpression(this.currentExpression);
+        } catch (error) {
+            if (!(error instanceof CalculatorError)) throw error;
+            this.lastError = error;
+            this.lastResult = null;
+            return;
+        }
+        
+        const expression = this.currentExpression;
+        this.addHistoryEntry(expression, result.toString());
+        this.lastResult = result;
+        this.lastAnswer = result.toString();
+        this.currentExpression = typeof result === 'bigint'
+            ? this.evaluator.arithmetic.format(result, this.radix)
+            : result.toString();
+        this.caretFromEnd = 0;
+        this.notify('evaluate', { expression, result: result.toString() });
+    }
+    
+    /**
+     * Handle decimal point input
+     * @param {string} lastChar - Last character in expression
+     * @param {string} [following] - Text after the caret
+     */
+    handleDecimalInput(lastChar, following = "") {
+        if (!this.canAddDecimal(following)) return;
+        
+        // Add decimal point logic
+        if (this.currentExpression === "" || this.isOperator(lastChar) || lastChar === "(") {
+            this.currentExpression += "0.";
+        } else if (lastChar !== "." && !this.isOperator(lastChar) && lastChar !== "(") {
+            this.currentExpression += ".";
+        }
+    }
+    
+    /**
+     * Handle the mixed-number key: a space after a whole number, so the
+     * fraction typed next is added to it ("1 1/2")
+     */
+    handleMixedInput() {
+        // Only after a whole number that is not itself part of a fraction
+        if (/(^|[+\-*×÷^(,])\d+$/.test(this.currentExpression)) {
+            this.currentExpression += " ";
+            this.lastResult = null;
+        }
+    }
+    
+    /**
+     * Handle number input
+     * @param {string} input - Number input
+     * @param {string} lastChar - Last character in expression
+     */
+    handleNumberInput(input, lastChar) {
+        // If last result was displayed, start fresh unless continuing with decimal
+        if (this.lastResult !== null && !this.isOperator(lastChar) && lastChar !== ".") {
+            this.currentExpression = input;
+            this.lastResult = null;
+        } else {
+            // Programmer mode refuses digits that would overflow the word size
+            if (this.arithmeticMode === 'programmer' &&
+                !this.evaluator.arithmetic.fits(this.getTrailingDigits() + input, this.radix)) {
+                return;
+            }
+            
+            // A number directly after ')', '!' or a constant multiplies it
+            if (this.endsWithOperand(lastChar) && !this.isDigit(lastChar)) {
+                this.currentExpression += "*";
+            }
+            this.currentExpression += input;
+        }
+    }
+    
+    /**
+     * Handle operator input
+     * @param {string} input - Operator input
+     * @param {string} lastChar - Last character in expression
+     */
+    handleOperatorInput(input, lastChar) {
+        // Normalize operator symbols
+        const normalizedInput = input.replace('×', '*').replace('÷', '/');
+        
+        // Don't start with operator (except minus for negative numbers)
+        if (this.currentExpression === "" && normalizedInput !== "-") {
+            return;
+        }
+        
+        // Handle consecutive operators; shifts are two characters long
+        if (this.isOperator(lastChar)) {
+            const previous = /(<<|>>|.)$/.exec(this.currentExpression)[0];
+            this.currentExpression = this.currentExpression.slice(0, -previous.length) + normalizedInput;
+        } else if (lastChar !== "") {
+            this.currentExpression += normalizedInput;
+            this.lastResult = null;
+        }
+    }
+    
+    /**
+     * Handle bitwise NOT. It is a prefix, like a unary minus, so it cannot
+     * follow an operand; after a result it is applied to the result.
+     * @param {string} lastChar - Last character in expression
+     */
+    handleNotInput(lastChar) {
+        if (this.lastResult !== null) {
+            this.currentExpression = "~" + this.currentExpression;
+            this.lastResult = null;
+        } else if (!this.endsWithOperand(lastChar)) {
+            this.currentExpression += "~";
+        }
+    }
+    
+    /**
+     * Handle parentheses input
+     * @param {string} input - Parenthesis input
+     * @param {string} lastChar - Last character in expression
+     */
+    handleParenthesesInput(input, lastChar) {
+        if (input === "(") {
+            // Add multiplication before ( if needed
+            if (lastChar && !this.isOperator(lastChar) && lastChar !== "(") {
+                this.currentExpression += "*";
+            }
+            this.currentExpression += "(";
+        } else if (input === ")") {
+            // Only add ) if there are unmatched (
+            const openParens = (this.currentExpression.match(/\(/g) || []).length;
+            const closeParens = (this.currentExpression.match(/\)/g) || []).length;
+            
+            if (openParens > closeParens && lastChar !== "(" && lastChar !== "," && !this.isOperator(lastChar)) {
+                this.currentExpression += ")";
+            }
+        }
+        
+        this.lastResult = null;
+    }
+    
+    /**
+     * Handle scientific function input such as sin or sqrt
+     * @param {string} name - Function name
+     * @param {string} lastChar - Last character in expression
+     */
+    handleFunctionInput(name, lastChar) {
+        // Implicit multiplication, as with an opening parenthesis
+        if (this.endsWithOperand(lastChar)) {
+            this.currentExpression += "*";
+        }
+        this.currentExpression += name + "(";
+        this.lastResult = null;
+    }
+    
+    /**
+     * Handle constant input (π or e)
+     * @param {string} symbol - Constant symbol
+     * @param {string} lastChar - Last character in expression
+     */
+    handleConstantInput(symbol, lastChar) {
+        if (this.lastResult !== null && this.endsWithOperand(lastChar)) {
+            // Start fresh after a result, like a digit would
+            this.currentExpression = "";
+        } else if (this.endsWithOperand(lastChar)) {
+            this.currentExpression += "*";
+        }
+        this.currentExpression += symbol;
+        this.lastResult = null;
+    }
+    
+    /**
+     * Handle postfix input: factorial, percent or the x² shortcut
+     * @param {string} text - Text to append ("!", "%" or "^2")
+     * @param {string} lastChar - Last character in expression
+     */
+    handlePostfixInput(text, lastChar) {
+        if (!this.endsWithOperand(lastChar)) return;
+        
+        this.currentExpression += text;
+        this.lastResult = null;
+    }
+    
+    /**
+     * Handle the argument separator for multi-argument functions like root(x, n)
+     * @param {string} lastChar - Last character in expression
+     */
+    handleArgumentSeparator(lastChar) {
+        const openParens = (this.currentExpression.match(/\(/g) || []).length;
+        const closeParens = (this.currentExpression.match(/\)/g) || []).length;
+        
+        if (openParens > closeParens && this.endsWithOperand(lastChar)) {
+            this.currentExpression += ",";
+            this.lastResult = null;
+        }
+    }
+    
+    /**
+     * Cycle the angle mode DEG → RAD → GRAD
+     */
+    cycleAngleMode() {
+        const index = this.ANGLE_MODES.indexOf(this.evaluator.angleMode);
+        this.setAngleMode(this.ANGLE_MODES[(index + 1) % this.ANGLE_MODES.length]);
+    }
+    
+    /**
+     * Set the angle unit used by trigonometric functions
+     * @param {string} mode - 'deg', 'rad' or 'grad'
+     */
+    setAngleMode(mode) {
+        if (!this.ANGLE_MODES.includes(mode)) {
+            console.warn(`Unknown angle mode: ${mode}`);
+            return;
+        }
+        
+        this.evaluator.angleMode = mode;
+        this.notify('settings');
+    }
+    
+    /**
+     * Record an evaluated expression on the history tape
+     * @param {string} expression - Expression as entered
+     * @param {string} result - Result string
+     */
+    addHistoryEntry(expression, result) {
+        const lastId = this.history.length > 0 ? this.history[0].id : 0;
+        
+        // Newest entries first
+        this.history.unshift({
+            id: lastId + 1,
+            expression,
+            result,
+            timestamp: Date.now()
+        });
+        
+        this.trimHistory();
+        this.notify('history');
+    }
+    
+    /**
+     * Drop the oldest entries beyond MAX_HISTORY_ENTRIES
+     */
+    trimHistory() {
+        if (this.history.length > this.MAX_HISTORY_ENTRIES) {
+            this.history.length = this.MAX_HISTORY_ENTRIES;
+        }
+    }
+    
+    /**
+     * Change how many history entries are kept
+     * @param {number} limit - Maximum number of entries
+     */
+    setHistoryLimit(limit) {
+        const parsed = parseInt(limit, 10);
+        if (!(parsed > 0)) {
+            console.warn(`Invalid history limit: ${limit}`);
+            return;
+        }
+        
+        this.MAX_HISTORY_ENTRIES = parsed;
+        this.trimHistory();
+        this.notify('history');
+    }
+    
+    /**
+     * Put a history entry's expression or result back into the input
+     * @param {number} entryId - Id of the history entry
+     * @param {string} part - 'expression' or 'result'
+     */
+    recallHistoryEntry(entryId, part) {
+        const entry = this.history.find((item) => item.id === entryId);
+        if (!entry) return;
+        
+        const before = this.createSnapshot();
+        
+        if (part === 'expression') {
+            this.currentExpression = entry.expression;
+            this.caretFromEnd = 0;
+            this.lastResult = null;
+        } else {
+            this.recallValue(entry.result);
+        }
+        
+        this.recordUndo(before);
+    }
+    
+    /**
+     * Put a stored value into the input, continuing an open expression
+     * at the caret or replacing a finished one
+     * @param {string} value - Value to insert
+     */
+    recallValue(value) {
+        const lastChar = this.currentExpression.slice(0, this.getCaret()).slice(-1);
+        
+        // Stored values are decimal strings; programmer input uses its own base
+        if (this.arithmeticMode === 'programmer') {
+            value = this.formatNumber(value);
+        }
+        
+        if (this.isOperator(lastChar) || lastChar === "(") {
+            // A ratio from fraction mode keeps its value after 2^ or 6/
+            if (value.includes('/')) {
+                value = `(${value})`;
+            }
+            this.editAtCaret(() => {
+                this.currentExpression += value;
+            });
+        } else {
+            this.currentExpression = value;
+            this.caretFromEnd = 0;
+        }
+        
+        this.lastResult = null;
+    }
+    
+    /**
+     * Remove a single history entry
+     * @param {number} entryId - Id of the entry to remove
+     */
+    removeHistoryEntry(entryId) {
+        this.history = this.history.filter((item) => item.id !== entryId);
+        this.notify('history');
+    }
+    
+    /**
+     * Remove all history entries
+     */
+    clearHistory() {
+        this.history = [];
+        this.notify('history');
+    }
+    
+    /**
+     * Capture the expression state undo and redo move between
+     * @returns {Object} Snapshot with currentExpression, caret and lastResult
+     */
+    createSnapshot() {
+        return {
+            currentExpression: this.currentExpression,
+            caret: this.getCaret(),
+            lastResult: this.lastResult === null ? null : this.lastResult.toString()
+        };
+    }
+    
+    /**
+     * Check that a value (e.g. from saved state) is a usable snapshot
+     * @param {*} snapshot - Value to check
+     * @returns {boolean} True if it can be restored
+     */
+    isSnapshot(snapshot) {
+        return Boolean(snapshot) && typeof snapshot.currentExpression === 'string' &&
+            (snapshot.lastResult === null || typeof snapshot.lastResult === 'string') &&
+            (snapshot.caret === undefined || typeof snapshot.caret === 'number');
+    }
+    
+    /**
+     * Restore a snapshot taken by createSnapshot
+     * @param {Object} snapshot - Snapshot to restore
+     */
+    restoreSnapshot(snapshot) {
+        this.currentExpression = snapshot.currentExpression;
+        this.caretFromEnd = 0;
+        if (typeof snapshot.caret === 'number') {
+            this.setCaret(snapshot.caret);
+        }
+        this.lastResult = snapshot.lastResult;
+        this.lastError = null;
+    }
+    
+    /**
+     * Push the state from before an edit onto the undo stack if the edit
+     * changed anything. A new edit discards the redo stack.
+     * @param {Object} before - Snapshot taken before the edit
+     */
+    recordUndo(before) {
+        if (before.currentExpression === this.currentExpression &&
+            before.lastResult === this.createSnapshot().lastResult) {
+            return;
+        }
+        
+        this.undoStack.push(before);
+        if (this.undoStack.length > this.MAX_UNDO_DEPTH) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+    
+    /**
+     * Step back to the state before the last edit
+     * @returns {boolean} True if there was something to undo
+     */
+    undo() {
+        if (this.undoStack.length === 0) return false;
+        
+        this.redoStack.push(this.createSnapshot());
+        this.restoreSnapshot(this.undoStack.pop());
+        return true;
+    }
+    
+    /**
+     * Re-apply the last undone edit
+     * @returns {boolean} True if there was something to redo
+     */
+    redo() {
+        if (this.redoStack.length === 0) return false;
+        
+        this.undoStack.push(this.createSnapshot());
+        this.restoreSnapshot(this.redoStack.pop());
+        return true;
+    }
+    
+    /**
+     * Set the maximum number of undo steps, dropping the oldest beyond it
+     * @param {number} limit - New limit (at least 1)
+     */
+    setUndoLimit(limit) {
+        const parsed = parseInt(limit, 10);
+        if (!(parsed > 0)) {
+            console.warn(`Invalid undo limit: ${limit}`);
+            return;
+        }
+        
+        this.MAX_UNDO_DEPTH = parsed;
+        this.undoStack = this.undoStack.slice(-parsed);
+        this.redoStack = this.redoStack.slice(-parsed);
+    }
+    
+    /**
+     * Get the value memory keys act on: the result of the current
+     * expression, or the number being entered if it is unfinished
+     * @returns {string|null} Value as a string, or null if there is none
+     */
+    getCurrentValue() {
+        if (!this.currentExpression) return null;
+        
+        if (this.isValidExpression(this.currentExpression)) {
+            const result = this.safeEvaluate(this.currentExpression);
+            if (result !== "Error") return result.toString();
+        }
+        
+        if (this.arithmeticMode === 'programmer') {
+            const literal = this.getTrailingDigits();
+            return literal ? this.evaluator.arithmetic.fromLiteral(literal, this.radix).toString() : null;
+        }
+        
+        const match = /(\d+\.?\d*|\.\d+)$/.exec(this.currentExpression);
+        return match ? match[1] : null;
+    }
+    
+    /**
+     * Get the digits at the end of the expression, in programmer mode the
+     * literal being typed
+     * @returns {string} Trailing digits, or "" if the expression does not end with one
+     */
+    getTrailingDigits() {
+        let start = this.currentExpression.length;
+        while (start > 0 && this.isDigit(this.currentExpression[start - 1])) {
+            start--;
+        }
+        return this.currentExpression.slice(start);
+    }
+    
+    /**
+     * Add or subtract two values using the active arithmetic mode
+     * @param {string} left - Left operand
+     * @param {string} right - Right operand
+     * @param {string} operation - 'add' or 'subtract'
+     * @returns {string} Result as a string
+     */
+    combineValues(left, right, operation) {
+        const arithmetic = this.evaluator.arithmetic;
+        let result = arithmetic[operation](arithmetic.fromLiteral(left), arithmetic.fromLiteral(right));
+        
+        if (arithmetic.finalize) {
+            result = arithmetic.finalize(result);
+        }
+        
+        return result.toString();
+    }
+    
+    /**
+     * Handle the memory keys MC, MR, M+, M− and MS. M+, M− and MS finish
+     * the entry they act on, so the next digit starts a new number.
+     * @param {string} input - 'mc', 'mr', 'm+', 'm-' or 'ms'
+     */
+    handleMemoryInput(input) {
+        if (input === "mc") {
+            this.memory = null;
+        } else if (input === "mr") {
+            if (this.memory !== null) {
+                this.recallValue(this.memory);
+            }
+            return;
+        } else {
+            const value = this.getCurrentValue();
+            if (value === null) return;
+            
+            if (input === "ms" || this.memory === null) {
+                this.memory = input === "m-" ? this.combineValues("0", value, 'subtract') : value;
+            } else {
+                this.memory = this.combineValues(this.memory, value, input === "m+" ? 'add' : 'subtract');
+            }
+            this.lastResult = value;
+        }
+        
+        this.notify('memory');
+    }
+    
+    /**
+     * Store the current value in a named register
+     * @param {string} name - Register name, following the rules for variable names
+     * @param {string} [value] - Value to store, defaults to the current value
+     * @throws {ExpressionSyntaxError} If the name is not allowed
+     */
+    storeNamedMemory(name, value = this.getCurrentValue()) {
+        const registerName = String(name || '').trim();
+        if (!registerName || value === null) return;
+        if (!this.isValidVariableName(registerName)) {
+            throw new ExpressionSyntaxError(`'${registerName}' cannot be used as a register name`, 0, registerName.length);
+        }
+        
+        this.namedMemory[registerName] = value;
+        this.notify('memory');
+    }
+    
+    /**
+     * Put a named register's value into the input
+     * @param {string} name - Register name
+     */
+    recallNamedMemory(name) {
+        if (Object.prototype.hasOwnProperty.call(this.namedMemory, name)) {
+            const before = this.createSnapshot();
+            this.recallValue(this.namedMemory[name]);
+            this.recordUndo(before);
+        }
+    }
+    
+    /**
+     * Delete a named register
+     * @param {string} name - Register name
+     */
+    clearNamedMemory(name) {
+        delete this.namedMemory[name];
+        this.notify('memory');
+    }
+    
+    /**
+     * Names usable in expressions besides the built-in constants
+     * @returns {Object} Variable values by name, including ans once there is a result
+     */
+    getScope() {
+        const scope = { ...this.variables };
+        if (this.lastAnswer !== null) {
+            scope.ans = this.lastAnswer;
+        }
+        return scope;
+    }
+    
+    /**
+     * Check that a name can hold a variable, register or user function: an
+     * identifier that is not a built-in function, a constant, ans, one of
+     * the unit conversion keywords 'to' and 'in' or one of RESERVED_NAMES
+     * @param {string} name - Proposed name
+     * @returns {boolean} True if the name is allowed
+     */
+    isValidVariableName(name) {
+        return /^[A-Za-z_]\w*$/.test(name) && name !== 'ans' && name !== 'to' && name !== 'in' &&
+            !this.RESERVED_NAMES.includes(name) &&
+            !Object.prototype.hasOwnProperty.call(this.evaluator.functions, name) &&
+            !Object.prototype.hasOwnProperty.call(this.evaluator.constants, name);
+    }
+    
+    /**
+     * Evaluate an expression and store its value in a variable
+     * @param {string} name - Variable name
+     * @param {string} expression - Expression giving the value
+     * @param {number} [offset=0] - Position of the expression in the input,
+     *     so errors point at the right place
+     * @returns {number|Decimal} The assigned value
+     * @throws {CalculatorError} If the name is not allowed or the expression fails
+     */
+    assignVariable(name, expression, offset = 0) {
+        const variableName = String(name || '').trim();
+        if (!this.isValidVariableName(variableName)) {
+            throw new ExpressionSyntaxError(`'${variableName}' cannot be used as a variable name`, 0, Math.max(variableName.length, 1));
+        }
+        
+        let value;
+        try {
+            value = this.evaluateExpression(String(expression));
+        } catch (error) {
+            if (error instanceof CalculatorError && error.position !== null) {
+                error.relocate(error.position + offset);
+            }
+            throw error;
+        }
+        
+        this.variables[variableName] = value.toString();
+        this.notify('variables');
+        return value;
+    }
+    
+    /**
+     * Delete a variable
+     * @param {string} name - Variable name
+     */
+    deleteVariable(name) {
+        delete this.variables[name];
+        this.notify('variables');
+    }
+    
+    /**
+     * Convert the whole input to another unit by appending "<from> to <to>".
+     * Anything but a single operand is put in parentheses first, so the
+     * input reads as one value and may itself be a conversion. An input that does not
+     * parse is left as it is, with the error in lastError.
+     * @param {string} from - Unit the input is in
+     * @param {string} to - Unit to convert to
+     * @throws {UnitError} If a unit is unknown, the units measure different
+     *     things, or programmer mode is active
+     */
+    convertInput(from, to) {
+        if (this.arithmeticMode === 'programmer') {
+            throw new UnitError('Unit conversion is not available in programmer mode');
+        }
+        
+        const units = this.evaluator.units;
+        [from, to].forEach((name) => {
+            if (!units.get(name)) throw new UnitError(`Unknown unit '${name}'`);
+        });
+        if (units.get(from).dimension !== units.get(to).dimension) {
+            throw new UnitError(`Cannot convert ${units.get(from).dimension} (${from}) to ${units.get(to).dimension} (${to})`);
+        }
+        
+        if (!this.currentExpression) return;
+        
+        let ast;
+        try {
+            ast = this.parser.parse(this.currentExpression);
+        } catch (error) {
+            if (!(error instanceof CalculatorError)) throw error;
+            this.lastError = error;
+            return;
+        }
+        
+        const before = this.createSnapshot();
+        const operand = ['number', 'identifier', 'call', 'postfix'].includes(ast.type)
+            ? this.currentExpression
+            : `(${this.currentExpression})`;
+        
+        this.currentExpression = `${operand} ${from} to ${to}`;
+        this.caretFromEnd = 0;
+        this.lastResult = null;
+        this.lastError = null;
+        this.recordUndo(before);
+    }
+    
+    /**
+     * Define a function from a definition such as "hyp(a, b) = sqrt(a^2 + b^2)",
+     * replacing any function of the same name
+     * @param {string} source - Function definition
+     * @returns {string} Name of the defined function
+     * @throws {CalculatorError} If the definition is invalid
+     */
+    defineFunction(source) {
+        return this.installFunctions([source])[0];
+    }
+    
+    /**
+     * Delete a user-defined function
+     * @param {string} name - Function name
+     * @throws {CalculatorError} If another function calls it
+     */
+    deleteFunction(name) {
+        const callers = Object.keys(this.userFunctions).filter((other) => {
+            let calls = false;
+            this.visitNodes(this.userFunctions[other].ast, (node) => {
+                calls = calls || (node.type === 'call' && node.name === name);
+            });
+            return other !== name && calls;
+        });
+        
+        if (callers.length > 0) {
+            throw new CalculatorError(`${name} is used by ${callers.join(', ')}`, 'function-in-use');
+        }
+        
+        delete this.userFunctions[name];
+        this.notify('functions');
+    }
+    
+    /**
+     * Export the user-defined functions for sharing or storage
+     * @returns {Object} { functions: [definition, ...] }, JSON-serializable
+     */
+    exportFunctions() {
+        return {
+            functions: Object.keys(this.userFunctions).sort()
+                .map((name) => this.formatFunctionDefinition(this.userFunctions[name]))
+        };
+    }
+    
+    /**
+     * Import functions produced by exportFunctions. The import is all or
+     * nothing: if any definition is invalid, no function changes.
+     * @param {Object|string} data - Exported object or its JSON text
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=false] - Drop existing functions first
+     * @returns {Array<string>} Names of the imported functions
+     * @throws {CalculatorError} If a definition is invalid
+     */
+    importFunctions(data, options = {}) {
+        let parsed = data;
+        if (typeof data === 'string') {
+            try {
+                parsed = JSON.parse(data);
+            } catch (error) {
+                throw new CalculatorError('Function library is not valid JSON', 'invalid-import');
+            }
+        }
+        
+        if (!parsed || !Array.isArray(parsed.functions) ||
+            !parsed.functions.every((source) => typeof source === 'string')) {
+            throw new CalculatorError('Function library must have a "functions" list of definitions', 'invalid-import');
+        }
+        
+        return this.installFunctions(parsed.functions, options.replace);
+    }
+    
+    /**
+     * Parse, validate and store function definitions together, so they
+     * can refer to each other regardless of order
+     * @param {Array<string>} sources - Function definitions
+     * @param {boolean} [replace=false] - Drop existing functions first
+     * @returns {Array<string>} Names of the installed functions
+     * @throws {CalculatorError} If a definition is invalid
+     */
+    installFunctions(sources, replace = false) {
+        const definitions = sources.map((source) => this.parseFunctionDefinition(source));
+        const candidate = replace ? {} : { ...this.userFunctions };
+        
+        definitions.forEach((definition) => {
+            candidate[definition.name] = definition;
+        });
+        // Check every function, as a new definition may change an arity others rely on
+        Object.keys(candidate).forEach((name) => this.validateFunctionBody(candidate[name], candidate));
+        this.checkFunctionRecursion(candidate);
+        
+        this.userFunctions = candidate;
+        this.evaluator.userFunctions = candidate;
+        this.notify('functions');
+        
+        return definitions.map((definition) => definition.name);
+    }
+    
+    /**
+     * Split a definition into name, parameters and parsed body
+     * @param {string} source - Function definition
+     * @returns {Object} { name, params, body, ast }
+     * @throws {ExpressionSyntaxError} If the definition is malformed
+     */
+    parseFunctionDefinition(source) {
+        const match = /^(\s*)([A-Za-z_]\w*)\s*\(([^)]*)\)\s*=/.exec(source);
+        if (!match) {
+            throw new ExpressionSyntaxError('Expected a definition like f(x) = expression', 0);
+        }
+        
+        const name = match[2];
+        if (!this.isValidVariableName(name)) {
+            throw new ExpressionSyntaxError(`'${name}' cannot be used as a function name`, match[1].length, name.length);
+        }
+        
+        const params = match[3].trim() === '' ? [] : match[3].split(',').map((param) => param.trim());
+        params.forEach((param, index) => {
+            if (!this.isValidVariableName(param)) {
+                throw new ExpressionSyntaxError(`'${param}' cannot be used as a parameter name`, match[0].indexOf('(') + 1);
+            }
+            if (params.indexOf(param) !== index) {
+                throw new ExpressionSyntaxError(`Parameter '${param}' appears twice`, match[0].indexOf('(') + 1);
+            }
+        });
+        
+        const body = source.slice(match[0].length).trim();
+        const bodyOffset = source.indexOf(body, match[0].length);
+        let ast;
+        try {
+            ast = this.standardParser.parse(body);
+        } catch (error) {
+            if (error instanceof CalculatorError && error.position !== null) {
+                error.relocate(error.position + bodyOffset);
+            }
+            throw error;
+        }
+        
+        return { name, params, body, ast, bodyOffset };
+    }
+    
+    /**
+     * Check that a function body only calls known functions, with the
+     * right number of arguments. Names are looked up when it is called,
+     * so it may use variables that are defined later.
+     * @param {Object} definition - Parsed definition
+     * @param {Object} functions - User functions the body may call
+     * @throws {ExpressionSyntaxError} At the first problem found
+     */
+    validateFunctionBody(definition, functions) {
+        const fail = (message, node) => {
+            throw new ExpressionSyntaxError(`${definition.name}: ${message}`,
+                node.position + definition.bodyOffset, node.name.length);
+        };
+        
+        this.visitNodes(definition.ast, (node) => {
+            if (node.type === 'call') {
+                const builtIn = this.evaluator.functions[node.name];
+                const user = Object.prototype.hasOwnProperty.call(functions, node.name) ? functions[node.name] : null;
+                const arity = builtIn ? builtIn.arity : user ? user.params.length : null;
+                
+                if (arity === null) fail(`Unknown function '${node.name}'`, node);
+                if (node.args.length !== arity) {
+                    fail(`${node.name} expects ${arity} argument${arity === 1 ? '' : 's'}`, node);
+                }
+            }
+        });
+    }
+    
+    /**
+     * Reject definitions that call themselves, directly or through
+     * other user functions
+     * @param {Object} functions - User functions by name
+     * @throws {ExpressionSyntaxError} Naming the first cycle found
+     */
+    checkFunctionRecursion(functions) {
+        const calls = (name) => {
+            const called = [];
+            this.visitNodes(functions[name].ast, (node) => {
+                if (node.type === 'call' && Object.prototype.hasOwnProperty.call(functions, node.name)) {
+                    called.push(node.name);
+                }
+            });
+            return called;
+        };
+        
+        const finished = new Set();
+        const visit = (name, path) => {
+            if (path.includes(name)) {
+                const cycle = path.slice(path.indexOf(name)).concat(name).join(' → ');
+                throw new ExpressionSyntaxError(`Recursive definition: ${cycle}`, 0, name.length);
+            }
+            if (finished.has(name)) return;
+            
+            calls(name).forEach((called) => visit(called, path.concat(name)));
+            finished.add(name);
+        };
+        
+        Object.keys(functions).forEach((name) => visit(name, []));
+    }
+    
+    /**
+     * Call a visitor for every node of an AST
+     * @param {Object} node - Root node
+     * @param {Function} visit - Called with each node
+     */
+    visitNodes(node, visit) {
+        visit(node);
+        
+        const children = node.type === 'call' ? node.args
+            : node.type === 'binary' ? [node.left, node.right]
+            : node.operand ? [node.operand] : [];
+        children.forEach((child) => this.visitNodes(child, visit));
+    }
+    
+    /**
+     * Write a definition back in its source form
+     * @param {Object} definition - Stored definition
+     * @returns {string} E.g. "hyp(a, b) = sqrt(a^2 + b^2)"
+     */
+    formatFunctionDefinition(definition) {
+        return `${definition.name}(${definition.params.join(', ')}) = ${definition.body}`;
+    }
+    
+    /**
+     * Export the expression and settings as a JSON-serializable object
+     * @returns {Object} Serializable engine state
+     */
+    exportState() {
+        const state = {
+            currentExpression: this.currentExpression,
+            caret: this.getCaret(),
+            lastResult: typeof this.lastResult === 'bigint' ? this.lastResult.toString() : this.lastResult,
+            arithmeticMode: this.arithmeticMode,
+            decimalPrecision: this.DECIMAL_PRECISION,
+            roundingMode: this.ROUNDING_MODE,
+            radix: this.radix,
+            wordSize: this.wordSize,
+            signed: this.signed,
+            fractionFormat: this.fractionFormat,
+            locale: this.locale,
+            display: { ...this.displayOptions },
+            angleMode: this.evaluator.angleMode,
+            variables: { ...this.variables },
+            lastAnswer: this.lastAnswer
+        };
+        
+        if (this.persistUndo) {
+            state.undoStack = this.undoStack.slice();
+            state.redoStack = this.redoStack.slice();
+        }
+        
+        return state;
+    }
+    
+    /**
+     * Restore state produced by exportState. Fields of the wrong type
+     * (e.g. from damaged saved data) are left at their defaults.
+     * @param {Object} state - Saved engine state
+     */
+    importState(state) {
+        this.currentExpression = typeof state.currentExpression === 'string' ? state.currentExpression : "";
+        this.caretFromEnd = 0;
+        if (typeof state.caret === 'number') {
+            this.setCaret(state.caret);
+        }
+        // A saved result of 0 is still a result
+        this.lastResult = typeof state.lastResult === 'string' || typeof state.lastResult === 'number'
+            ? state.lastResult
+            : null;
+        this.lastAnswer = typeof state.lastAnswer === 'string' ? state.lastAnswer : null;
+        
+        if (state.variables && typeof state.variables === 'object') {
+            this.variables = {};
+            Object.keys(state.variables).forEach((name) => {
+                if (this.isValidVariableName(name) && typeof state.variables[name] === 'string') {
+                    this.variables[name] = state.variables[name];
+                }
+            });
+            this.notify('variables');
+        }
+        
+        if (this.persistUndo && Array.isArray(state.undoStack) && Array.isArray(state.redoStack)) {
+            this.undoStack = state.undoStack.filter((snapshot) => this.isSnapshot(snapshot)).slice(-this.MAX_UNDO_DEPTH);
+            this.redoStack = state.redoStack.filter((snapshot) => this.isSnapshot(snapshot)).slice(-this.MAX_UNDO_DEPTH);
+        }
+        
+        if (state.angleMode) {
+            this.setAngleMode(state.angleMode);
+        }
+        if (state.fractionFormat) {
+            this.setFractionFormat(state.fractionFormat);
+        }
+        if (state.locale !== undefined) {
+            this.setLocale(state.locale);
+        }
+        if (state.display && typeof state.display === 'object') {
+            this.setDisplayOptions(state.display);
+        }
+        
+        if (state.arithmeticMode) {
+            this.setArithmeticMode(state.arithmeticMode, {
+                precision: state.decimalPrecision,
+                rounding: state.roundingMode,
+                radix: state.radix,
+                wordSize: state.wordSize,
+                signed: state.signed
+            });
+        }
+    }
+    
+    /**
+     * Add a plugin's operators, functions and constants to the standard
+     * syntax (programmer mode keeps its own). Everything is checked before
+     * anything is added, so a plugin is registered completely or not at
+     * all, and it cannot replace anything that already has a meaning.
+     * Operators and functions work on plain numbers, like sin or sqrt,
+     * and must return a finite number.
+     * @param {Object} plugin - Plugin definition
+     * @param {string} plugin.name - Unique plugin name
+     * @param {Object} [plugin.operators] - Binary operators by symbol (one character):
+     *     { precedence, associativity, apply(a, b) }. Precedence is 1 (as +),
+     *     2 (as *), 3 (between * and ^) or 4 (as ^); associativity 'left' (default) or 'right'
+     * @param {Object} [plugin.functions] - Functions by name: { arity, apply(...args) }
+     * @param {Object} [plugin.constants] - Constant values (numbers) by name
+     * @returns {string} The plugin name
+     * @throws {CalculatorError} If the plugin is invalid or uses a name already in use
+     */
+    registerPlugin(plugin) {
+        const fail = (message) => {
+            throw new CalculatorError(message, 'invalid-plugin');
+        };
+        
+        if (!plugin || typeof plugin !== 'object') fail('A plugin must be an object');
+        const name = typeof plugin.name === 'string' ? plugin.name.trim() : '';
+        if (!name) fail('A plugin needs a name');
+        if (Object.prototype.hasOwnProperty.call(this.plugins, name)) fail(`Plugin '${name}' is already registered`);
+        
+        const operators = this.checkPluginOperators(plugin.operators || {}, fail);
+        const functions = this.checkPluginFunctions(plugin.functions || {}, fail);
+        const constants = this.checkPluginConstants(plugin.constants || {}, fail);
+        Object.keys(functions).forEach((functionName) => {
+            if (Object.prototype.hasOwnProperty.call(constants, functionName)) {
+                fail(`'${functionName}' is both a function and a constant`);
+            }
+        });
+        
+        Object.keys(operators).forEach((symbol) => {
+            const { precedence, associativity, apply } = operators[symbol];
+            this.standardParser.binaryOperators[symbol] = { precedence, associativity };
+            this.evaluator.customOperators[symbol] = { apply };
+        });
+        Object.assign(this.evaluator.functions, functions);
+        Object.assign(this.evaluator.constants, constants);
+        
+        this.plugins[name] = {
+            operators: Object.keys(operators),
+            functions: Object.keys(functions),
+            constants: Object.keys(constants)
+        };
+        return name;
+    }
+    
+    /**
+     * Check a plugin's operators
+     * @param {Object} operators - Operator definitions by symbol
+     * @param {Function} fail - Throws the registration error
+     * @returns {Object} Checked copies of the definitions
+     */
+    checkPluginOperators(operators, fail) {
+        const checked = {};
+        
+        Object.keys(operators).forEach((symbol) => {
+            const definition = operators[symbol] || {};
+            const associativity = definition.associativity || 'left';
+            
+            // One character that is not a name, number, bracket or separator
+            // and not taken by a built-in operator or its alias
+            if (symbol.length !== 1 || /[\w\s.,;=()π]/.test(symbol) || this.isOperator(symbol) ||
+                this.standardParser.isKnownOperator(symbol) || this.standardParser.operatorAliases[symbol]) {
+                fail(`'${symbol}' cannot be used as an operator`);
+            }
+            if (![1, 2, 3, 4].includes(definition.precedence)) {
+                fail(`Operator '${symbol}' needs a precedence of 1 to 4`);
+            }
+            if (associativity !== 'left' && associativity !== 'right') {
+                fail(`Operator '${symbol}' must be 'left' or 'right' associative`);
+            }
+            if (typeof definition.apply !== 'function') {
+                fail(`Operator '${symbol}' needs an apply function`);
+            }
+            
+            checked[symbol] = { precedence: definition.precedence, associativity, apply: definition.apply };
+        });
+        
+        return checked;
+    }
+    
+    /**
+     * Check a plugin's functions
+     * @param {Object} functions - Function definitions by name
+     * @param {Function} fail - Throws the registration error
+     * @returns {Object} Checked copies of the definitions
+     */
+    checkPluginFunctions(functions, fail) {
+        const checked = {};
+        
+        Object.keys(functions).forEach((name) => {
+            const definition = functions[name] || {};
+            
+            this.checkPluginName(name, fail);
+            if (!Number.isInteger(definition.arity) || definition.arity < 0) {
+                fail(`Function '${name}' needs an arity (number of arguments)`);
+            }
+            if (typeof definition.apply !== 'function') {
+                fail(`Function '${name}' needs an apply function`);
+            }
+            
+            checked[name] = { arity: definition.arity, apply: definition.apply };
+        });
+        
+        return checked;
+    }
+    
+    /**
+     * Check a plugin's constants
+     * @param {Object} constants - Constant values by name
+     * @param {Function} fail - Throws the registration error
+     * @returns {Object} Checked copy of the constants
+     */
+    checkPluginConstants(constants, fail) {
+        const checked = {};
+        
+        Object.keys(constants).forEach((name) => {
+            this.checkPluginName(name, fail);
+            if (typeof constants[name] !== 'number' || !isFinite(constants[name])) {
+                fail(`Constant '${name}' must be a finite number`);
+            }
+            
+            checked[name] = constants[name];
+        });
+        
+        return checked;
+    }
+    
+    /**
+     * Check that a plugin function or constant name is free: a valid
+     * name that no built-in, plugin, variable or user function uses
+     * @param {string} name - Proposed name
+     * @param {Function} fail - Throws the registration error
+     */
+    checkPluginName(name, fail) {
+        if (!this.isValidVariableName(name)) {
+            fail(`'${name}' cannot be used as a plugin name`);
+        }
+        if (Object.prototype.hasOwnProperty.call(this.variables, name) ||
+            Object.prototype.hasOwnProperty.call(this.userFunctions, name)) {
+            fail(`'${name}' is already a variable or user-defined function`);
+        }
+    }
+    
+    /**
+     * Get current engine state for debugging
+     * @returns {Object} Current engine state
+     */
+    getState() {
+        return {
+            currentExpression: this.currentExpression,
+            caret: this.getCaret(),
+            lastResult: this.lastResult,
+            lastError: this.lastError ? this.lastError.toJSON() : null,
+            arithmeticMode: this.arithmeticMode,
+            radix: this.radix,
+            wordSize: this.wordSize,
+            signed: this.signed,
+            fractionFormat: this.fractionFormat,
+            locale: this.locale,
+            display: { ...this.displayOptions },
+            angleMode: this.evaluator.angleMode,
+            historyLength: this.history.length,
+            undoDepth: this.undoStack.length,
+            redoDepth: this.redoStack.length,
+            memory: this.memory,
+            namedMemory: { ...this.namedMemory },
+            variables: { ...this.variables },
+            lastAnswer: this.lastAnswer,
+            functions: Object.keys(this.userFunctions),
+            plugins: Object.keys(this.plugins)
+        };
+    }
+}
+
+const calculatorEngineExports = {
+    CalculatorEngine,
+    ExpressionParser,
+    ExpressionEvaluator,
+    CalculatorError,
+    ExpressionSyntaxError,
+    UnbalancedParenthesesError,
+    DivisionByZeroError,
+    OverflowError,
+    MathDomainError,
+    UnitError,
+    Decimal,
+    Fraction,
+    FloatArithmetic,
+    DecimalArithmetic,
+    RationalArithmetic,
+    IntegerArithmetic,
+    ProgrammerExpressionParser,
+    UnitTable
+};
+
+// Export for CommonJS (Node); otherwise publish on the global object so the
+// ES module entry point and classic <script> hosts can reach the classes
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = calculatorEngineExports;
+} else if (typeof globalThis !== 'undefined') {
+    globalThis.CalculatorEngineExports = calculatorEngineExports;
+}
@@ -0,0 +1,38 @@
+/*
+ * ES module entry point for the headless calculator engine.
+ * 
+ * In Node, calculator-engine.js loads as CommonJS and its exports arrive as
+ * the default import. In browsers it runs as a module dependency and
+ * publishes the same object on globalThis.CalculatorEngineExports.
+ * 
+ * Usage:
+ *   import { CalculatorEngine } from './calculator-engine.mjs';
+ *   const engine = new CalculatorEngine({ arithmeticMode: 'decimal' });
+ */
+
+import * as engineModule from './calculator-engine.js';
+
+const engineExports = engineModule.default || globalThis.CalculatorEngineExports;
+
+export const {
+    CalculatorEngine,
+    ExpressionParser,
+    ExpressionEvaluator,
+    CalculatorError,
+    ExpressionSyntaxError,
+    UnbalancedParenthesesError,
+    DivisionByZeroError,
+    OverflowError,
+    MathDomainError,
+    UnitError,
+    Decimal,
+    Fraction,
+    FloatArithmetic,
+    DecimalArithmetic,
+    RationalArithmetic,
+    IntegerArithmetic,
+    ProgrammerExpressionParser,
+    UnitTable
+} = engineExports;
+
+export default CalculatorEngine;
@@ -4,43 +4,925 @@
  * error handling, and modern JavaScript practices.
  * 
  * Features:
- * - Mathematical expression evaluation
+ * - Mathematical expression evaluation (AST parser, no eval/Function)
  * - Keyboard and mouse input support
  * - Theme switching with persistence
  * - Comprehensive input validation
  * - Error handling and recovery
  * - Memory management
  * 
+ * This file is the DOM view; expression handling and evaluation live in
+ * the headless engine (calculator-engine.js), which must be loaded first.
+ * 
  * @version 4.0.0
  * @author Priyanshu Sahoo #PS98Tech
  */
 
-class Calculator {
+/**
+ * Markup rendered into each mounted container. Buttons carry their engine
+ * input in data-input (not id) so several calculators can share a page.
+ */
+const CALCULATOR_TEMPLATE = `
+    <!-- Calculator box with dark theme by default; focusable so it can take keyboard input -->
+    <div class="calculator dark" tabindex="0">
+
+        <!-- Display Screen for input and results -->
+        <div class="display-screen">
+            <!-- Mode bar: arithmetic and display mode toggles -->
+            <div class="mode-bar">
+                <button class="btn-mode" data-input="exact" aria-pressed="false" aria-label="Exact decimal mode" title="Exact decimal arithmetic">EXACT</button>
+                <button class="btn-mode" data-input="fraction" aria-pressed="false" aria-label="Fraction mode" title="Exact fractions: 1/3 + 1/6 = 1/2">FRAC</button>
+                <button class="btn-mode" data-input="history" aria-pressed="false" aria-label="History" title="Show calculation history">HISTORY</button>
+                <button class="btn-mode" data-input="memory" aria-pressed="false" aria-label="Memory registers" title="Show named memory registers">MEMORY</button>
+                <button class="btn-mode" data-input="variables" aria-pressed="false" aria-label="Variables" title="Show variables">VARS</button>
+                <button class="btn-mode" data-input="functions" aria-pressed="false" aria-label="Functions" title="Show user-defined functions">FUNCS</button>
+                <button class="btn-mode" data-input="units" aria-pressed="false" aria-label="Unit conversion" title="Convert between units">UNITS</button>
+                <button class="btn-mode" data-input="display-settings" aria-pressed="false" aria-label="Display settings" title="Notation and digits of results">FORMAT</button>
+                <button class="btn-mode" data-input="scientific" aria-pressed="false" aria-label="Scientific layout" title="Scientific layout">SCI</button>
+                <button class="btn-mode" data-input="programmer" aria-pressed="false" aria-label="Programmer mode" title="Programmer mode: integers in hex, decimal, octal and binary">PROG</button>
+                <button class="btn-mode" data-input="angle" title="Angle mode: degrees, radians, gradians (d)">DEG</button>
+                <select class="locale-select" aria-label="Number format" title="Number format: digit grouping and decimal separator"></select>
+                <select class="theme-select" aria-label="Theme" title="Color theme"></select>
+                <span class="memory-indicator hidden">M</span>
+            </div>
+            <div class="display"></div> <!-- Actual dynamic display area -->
+            <div class="display-preview"></div> <!-- Provisional result while typing -->
+            <div class="display-message hidden"></div> <!-- Error description -->
+            <!-- Results and errors for screen readers (see announce) -->
+            <div class="display-announcer" role="status" aria-live="polite" aria-atomic="true"></div>
+            <!-- The value in every base (programmer mode); click a base to type in it -->
+            <div class="programmer-readouts">
+                <button class="btn-readout" data-input="hex" aria-pressed="false" title="Hexadecimal"><span class="readout-base">HEX</span><span class="readout-value"></span></button>
+                <button class="btn-readout" data-input="dec" aria-pressed="false" title="Decimal"><span class="readout-base">DEC</span><span class="readout-value"></span></button>
+                <button class="btn-readout" data-input="oct" aria-pressed="false" title="Octal"><span class="readout-base">OCT</span><span class="readout-value"></span></button>
+                <button class="btn-readout" data-input="bin" aria-pressed="false" title="Binary"><span class="readout-base">BIN</span><span class="readout-value"></span></button>
+            </div>
+        </div>
+
+        <!-- Memory keys -->
+        <div class="memory-bar">
+            <button class="btn-mode" data-input="mc" aria-label="Memory clear" title="Memory clear (Ctrl+L)">MC</button>
+            <button class="btn-mode" data-input="mr" aria-label="Memory recall" title="Memory recall (Ctrl+R)">MR</button>
+            <button class="btn-mode" data-input="m+" aria-label="Memory add" title="Memory add (Ctrl+P)">M+</button>
+            <button class="btn-mode" data-input="m-" aria-label="Memory subtract" title="Memory subtract (Ctrl+Q)">M&minus;</button>
+            <button class="btn-mode" data-input="ms" aria-label="Memory store" title="Memory store (Ctrl+M)">MS</button>
+            <button class="btn-mode" data-input="ans" aria-label="Last result" title="Last result (a)">ANS</button>
+        </div>
+
+        <!-- Scientific functions (shown in scientific mode) -->
+        <div class="scientific-buttons">
+            <table>
+                <!-- Row 1: Trigonometric functions, power -->
+                <tr>
+                    <td><button class="btn-function" data-input="sin" aria-label="Sine" title="Sine (s)">sin</button></td>
+                    <td><button class="btn-function" data-input="cos" aria-label="Cosine" title="Cosine (o)">cos</button></td>
+                    <td><button class="btn-function" data-input="tan" aria-label="Tangent" title="Tangent (t)">tan</button></td>
+                    <td><button class="btn-function" data-input="^" aria-label="Power" title="Power (^)">x<sup>y</sup></button></td>
+                </tr>
+
+                <!-- Row 2: Inverse trigonometric functions, factorial -->
+                <tr>
+                    <td><button class="btn-function" data-input="asin" aria-label="Arcsine" title="Arcsine (Shift+S)">sin<sup>-1</sup></button></td>
+                    <td><button class="btn-function" data-input="acos" aria-label="Arccosine" title="Arccosine (Shift+O)">cos<sup>-1</sup></button></td>
+                    <td><button class="btn-function" data-input="atan" aria-label="Arctangent" title="Arctangent (Shift+T)">tan<sup>-1</sup></button></td>
+                    <td><button class="btn-function" data-input="!" aria-label="Factorial" title="Factorial (!)">x!</button></td>
+                </tr>
+
+                <!-- Row 3: Logarithms and roots -->
+                <tr>
+                    <td><button class="btn-function" data-input="log" aria-label="Common logarithm" title="Common logarithm (l)">log</button></td>
+                    <td><button class="btn-function" data-input="ln" aria-label="Natural logarithm" title="Natural logarithm (n)">ln</button></td>
+                    <td><button class="btn-function" data-input="sqrt" aria-label="Square root" title="Square root (r)">&radic;</button></td>
+                    <td><button class="btn-function" data-input="root" aria-label="Nth root" title="Nth root: root(x, n) (Shift+R)"><sup>n</sup>&radic;</button></td>
+                </tr>
+
+                <!-- Row 4: Constants, argument separator, square -->
+                <tr>
+                    <td><button class="btn-function" data-input="pi" aria-label="Pi" title="Pi (p)">&pi;</button></td>
+                    <td><button class="btn-function" data-input="e" aria-label="Euler's number" title="Euler's number (e)">e</button></td>
+                    <td><button class="btn-function" data-input="," aria-label="Argument separator" title="Argument separator (,)">,</button></td>
+                    <td><button class="btn-function" data-input="square" aria-label="Square" title="Square (q)">x<sup>2</sup></button></td>
+                </tr>
+            </table>
+        </div>
+
+        <!-- Programmer keys (shown in programmer mode) -->
+        <div class="programmer-buttons">
+            <table>
+                <!-- Row 1: Hex digits A-D -->
+                <tr>
+                    <td><button class="btn-number" data-input="A">A</button></td>
+                    <td><button class="btn-number" data-input="B">B</button></td>
+                    <td><button class="btn-number" data-input="C">C</button></td>
+                    <td><button class="btn-number" data-input="D">D</button></td>
+                </tr>
+
+                <!-- Row 2: Hex digits E-F, shifts -->
+                <tr>
+                    <td><button class="btn-number" data-input="E">E</button></td>
+                    <td><button class="btn-number" data-input="F">F</button></td>
+                    <td><button class="btn-function" data-input="<<" aria-label="Shift left" title="Shift left (<)">&lt;&lt;</button></td>
+                    <td><button class="btn-function" data-input=">>" aria-label="Shift right" title="Shift right (>)">&gt;&gt;</button></td>
+                </tr>
+
+                <!-- Row 3: Bitwise operators -->
+                <tr>
+                    <td><button class="btn-function" data-input="&" aria-label="Bitwise AND" title="Bitwise AND (&amp;)">AND</button></td>
+                    <td><button class="btn-function" data-input="|" aria-label="Bitwise OR" title="Bitwise OR (|)">OR</button></td>
+                    <td><button class="btn-function" data-input="^" aria-label="Bitwise XOR" title="Bitwise XOR (^)">XOR</button></td>
+                    <td><button class="btn-function" data-input="~" aria-label="Bitwise NOT" title="Bitwise NOT (~)">NOT</button></td>
+                </tr>
+
+                <!-- Row 4: Word size and signedness -->
+                <tr>
+                    <td colspan="2"><button class="btn-function btn-wide" data-input="word-size" title="Word size: 8, 16, 32 or 64 bits">64-BIT</button></td>
+                    <td colspan="2"><button class="btn-function btn-wide" data-input="signed" title="Two's-complement signed or unsigned">SIGNED</button></td>
+                </tr>
+            </table>
+        </div>
+
+        <!-- Buttons added by plugins (see use) -->
+        <div class="plugin-buttons"></div>
+
+        <!-- Button Grid -->
+        <div class="buttons">
+            <table>
+                <!-- Row 1: Clear, Divide, Multiply, Backspace -->
+                <tr>
+                    <td><button class="btn-operator btn-clear" data-input="clear" aria-label="Clear">C</button></td>
+                    <td><button class="btn-operator" data-input="/" aria-label="Divide">&divide;</button></td>
+                    <td><button class="btn-operator" data-input="*" aria-label="Multiply">&times;</button></td>
+                    <td><button class="btn-operator" data-input="backspace" aria-label="Backspace">🔙</button></td>
+                </tr>
+
+                <!-- Row 2: 7,8,9,Minus -->
+                <tr>
+                    <td><button class="btn-number" data-input="7">7</button></td>
+                    <td><button class="btn-number" data-input="8">8</button></td>
+                    <td><button class="btn-number" data-input="9">9</button></td>
+                    <td><button class="btn-operator" data-input="-" aria-label="Minus">-</button></td>
+                </tr>
+
+                <!-- Row 3: 4,5,6,Plus -->
+                <tr>
+                    <td><button class="btn-number" data-input="4">4</button></td>
+                    <td><button class="btn-number" data-input="5">5</button></td>
+                    <td><button class="btn-number" data-input="6">6</button></td>
+                    <td><button class="btn-operator" data-input="+" aria-label="Plus">+</button></td>
+                </tr>
+
+                <!-- Row 4: 1,2,3,Equal (Equal spans 2 rows) -->
+                <tr>
+                    <td><button class="btn-number" data-input="1">1</button></td>
+                    <td><button class="btn-number" data-input="2">2</button></td>
+                    <td><button class="btn-number" data-input="3">3</button></td>
+                    <td rowspan="2"><button class="btn-equal" data-input="equal" aria-label="Equals">=</button></td>
+                </tr>
+
+                <!-- Row 5: Open bracket, 0, Close bracket -->
+                <tr>
+                    <td><button class="btn-operator" data-input="(" aria-label="Open parenthesis">(</button></td>
+                    <td><button class="btn-number" data-input="0">0</button></td>
+                    <td><button class="btn-operator" data-input=")" aria-label="Close parenthesis">)</button></td>
+                </tr>
+
+                <!-- Row 6: Percent, decimal point, mixed-number space, fraction format -->
+                <tr>
+                    <td><button class="btn-operator" data-input="%" aria-label="Percent" title="Percent (%)">%</button></td>
+                    <td><button class="btn-number" data-input="." aria-label="Decimal point">.</button></td>
+                    <td><button class="btn-operator btn-fraction" data-input="mixed" aria-label="Mixed number" title="Mixed number: the whole part, then the fraction, as in 1 1/2 (Space)">a b/c</button></td>
+                    <td><button class="btn-operator btn-fraction" data-input="fraction-format" aria-label="Fraction format" title="Show fractions as improper, mixed or decimal (f)">F&#8644;D</button></td>
+                </tr>
+            </table>
+        </div>
+
+        <!-- History tape: evaluated expressions with their results -->
+        <div class="history-panel hidden">
+            <div class="history-header">
+                <span>History</span>
+                <button class="btn-mode" data-input="history-clear" title="Clear all history">CLEAR ALL</button>
+            </div>
+            <ul class="history-list"></ul>
+        </div>
+
+        <!-- Named memory registers, persisted across sessions -->
+        <div class="memory-panel hidden">
+            <div class="memory-header">
+                <input type="text" class="memory-name" aria-label="Register name" placeholder="Register name" maxlength="20">
+                <button class="btn-mode" data-input="memory-save" title="Store current value under this name">STORE</button>
+            </div>
+            <ul class="memory-list"></ul>
+        </div>
+
+        <!-- User variables, assigned here or by evaluating "name = expression" -->
+        <div class="variables-panel hidden">
+            <div class="variables-header">
+                <input type="text" class="variable-name" aria-label="Variable name" placeholder="Name" maxlength="20">
+                <input type="text" class="variable-value" aria-label="Variable value" placeholder="Value or expression">
+                <button class="btn-mode" data-input="variable-save" title="Assign the value to this name">SET</button>
+            </div>
+            <ul class="variables-list"></ul>
+        </div>
+
+        <!-- User-defined functions, persisted and shareable as JSON -->
+        <div class="functions-panel hidden">
+            <div class="functions-header">
+                <input type="text" class="function-definition" aria-label="Function definition" placeholder="f(x) = x * 2">
+                <button class="btn-mode" data-input="function-save" title="Define this function">DEFINE</button>
+            </div>
+            <ul class="functions-list"></ul>
+            <div class="functions-footer">
+                <button class="btn-mode" data-input="functions-export" title="Download the functions as JSON">EXPORT</button>
+                <button class="btn-mode" data-input="functions-import" title="Load functions from a JSON file">IMPORT</button>
+                <input type="file" class="functions-file hidden" accept=".json,application/json">
+            </div>
+        </div>
+
+        <!-- Unit conversion: turns the input into "<input> km to mi" -->
+        <div class="units-panel hidden">
+            <div class="units-header">
+                <select class="unit-dimension" aria-label="Quantity" title="Quantity"></select>
+            </div>
+            <div class="units-footer">
+                <select class="unit-from" aria-label="Convert from" title="Convert from"></select>
+                <span class="units-separator">to</span>
+                <select class="unit-to" aria-label="Convert to" title="Convert to"></select>
+                <button class="btn-mode" data-input="unit-convert" title="Convert the input">CONVERT</button>
+            </div>
+        </div>
+
+        <!-- Display settings: notation and digits of results -->
+        <div class="display-settings-panel hidden">
+            <label class="display-setting">
+                <span>Notation</span>
+                <select class="display-notation">
+                    <option value="auto">Auto</option>
+                    <option value="fixed">Fixed decimals</option>
+                    <option value="significant">Significant figures</option>
+                    <option value="scientific">Scientific</option>
+                    <option value="engineering">Engineering</option>
+                </select>
+            </label>
+            <label class="display-setting">
+                <span>Decimals</span>
+                <input class="display-decimals" type="number" min="0" max="20" step="1">
+            </label>
+            <label class="display-setting">
+                <span>Significant figures</span>
+                <input class="display-significant-digits" type="number" min="1" max="20" step="1">
+            </label>
+            <label class="display-setting">
+                <span>Scientific from 10^</span>
+                <input class="display-threshold" type="number" min="1" max="300" step="1">
+            </label>
+            <label class="display-setting">
+                <span>Speak operators as words</span>
+                <input class="speak-operators" type="checkbox">
+            </label>
+        </div>
+
+    </div>
+`;
+
+/**
+ * Storage backend that keeps everything in memory, with the Web Storage
+ * interface. For tests, or pages that should not persist anything.
+ */
+class MemoryStorage {
     constructor() {
-        // Prevent multiple instances (Singleton pattern)
-        if (Calculator.instance) {
-            return Calculator.instance;
-        }
-        Calculator.instance = this;
-
-        // DOM element references
-        this.display = document.querySelector('#display');
-        this.buttons = document.querySelectorAll('button');
-        this.themeToggleBtn = document.querySelector('.theme-toggler');
-        this.calculator = document.querySelector('.calculator');
-        this.toggleIcon = document.querySelector('.toggler-icon');
-        
-        // Calculator state
-        this.currentExpression = "";
-        this.lastResult = null;
+        this.items = new Map();
+    }
+    
+    /**
+     * @param {string} key - Item key
+     * @returns {string|null} The stored text, or null
+     */
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+    
+    /**
+     * @param {string} key - Item key
+     * @param {string} value - Text to store
+     */
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+    
+    /**
+     * @param {string} key - Item key
+     */
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+/**
+ * Versioned storage for one calculator. Each record ('State', 'Theme',
+ * 'History', ...) is saved as JSON under the namespace plus its name,
+ * e.g. calculatorState, next to the schema version (calculatorVersion).
+ * Saved data from older versions is migrated when it is opened, and a
+ * record that cannot be read is dropped instead of breaking the load.
+ *
+ * The backend is anything with the Web Storage interface: localStorage
+ * (the default), sessionStorage, a MemoryStorage, or an adapter whose
+ * methods return promises, e.g. for IndexedDB.
+ */
+class CalculatorStorage {
+    /**
+     * @param {Object} [options] - Storage options
+     * @param {string} [options.namespace='calculator'] - Prefix for the keys
+     * @param {Object} [options.backend] - getItem/setItem/removeItem store; defaults to localStorage
+     * @param {number} [options.saveDelay=250] - Milliseconds to gather changes before writing them
+     */
+    constructor(options = {}) {
+        this.namespace = options.namespace || 'calculator';
+        this.backend = options.backend || CalculatorStorage.defaultBackend();
+        this.saveDelay = typeof options.saveDelay === 'number' ? options.saveDelay : 250;
+        
+        // Version 1 is everything saved before the schema was versioned
+        this.SCHEMA_VERSION = 2;
+        this.RECORDS = ['State', 'Theme', 'History', 'Memory', 'Functions', 'Keymap'];
+        
+        // Migrations by the version they upgrade from; each takes and
+        // returns the records by name (a missing record is null)
+        this.MIGRATIONS = {
+            // The state's dark flag was only a copy of the theme, but it
+            // is all that is left if the theme itself was not saved
+            1: (records) => {
+                const state = records.State && typeof records.State === 'object' ? { ...records.State } : null;
+                const theme = records.Theme !== null ? records.Theme
+                    : state && typeof state.isDark === 'boolean' ? (state.isDark ? 'dark' : 'light')
+                    : null;
+                if (state) {
+                    delete state.isDark;
+                }
+                return { ...records, State: state, Theme: theme };
+            }
+        };
+        
+        this.records = {};
+        this.texts = {};
+        this.dirty = new Set();
+        this.saveTimer = null;
+        this.isLoaded = false;
+        this.isWritable = false;
+    }
+    
+    /**
+     * The browser's localStorage, or a MemoryStorage where it cannot be used
+     * @returns {Object} Storage backend
+     */
+    static defaultBackend() {
+        try {
+            if (typeof localStorage !== 'undefined' && localStorage) {
+                return localStorage;
+            }
+        } catch (error) {
+            console.warn('localStorage is not available, nothing will be saved:', error);
+        }
+        return new MemoryStorage();
+    }
+    
+    /**
+     * Build the backend key of a record
+     * @param {string} name - Record name, e.g. 'State'
+     * @returns {string} Namespaced key, e.g. 'calculatorState'
+     */
+    key(name) {
+        return this.namespace + name;
+    }
+    
+    /**
+     * Read every record from the backend, migrating older data. With a
+     * synchronous backend the records can be read as soon as this returns;
+     * until it has loaded, nothing is written.
+     * @returns {Promise} Settles once the records are loaded
+     */
+    open() {
+        const names = ['Version'].concat(this.RECORDS);
+        const texts = names.map((name) => {
+            try {
+                return this.backend.getItem(this.key(name));
+            } catch (error) {
+                console.warn(`Could not read saved ${name}:`, error);
+                return null;
+            }
+        });
+        const load = (values) => {
+            const saved = {};
+            names.forEach((name, index) => {
+                saved[name] = typeof values[index] === 'string' ? values[index] : null;
+            });
+            this.load(saved);
+        };
+        
+        if (texts.some((text) => text && typeof text.then === 'function')) {
+            return Promise.all(texts.map((text) => Promise.resolve(text).catch((error) => {
+                console.warn('Could not read saved data:', error);
+                return null;
+            }))).then(load);
+        }
+        
+        load(texts);
+        return Promise.resolve();
+    }
+    
+    /**
+     * Parse and migrate the saved texts, then write back migrated data
+     * @param {Object<string, string|null>} saved - Texts by record name, and the version
+     */
+    load(saved) {
+        const hasRecords = this.RECORDS.some((name) => saved[name] !== null);
+        let version = saved.Version === null ? (hasRecords ? 1 : this.SCHEMA_VERSION) : Number(saved.Version);
+        if (!Number.isInteger(version) || version < 1) {
+            console.warn('Saved data has an unknown version; reading it as version 1');
+            version = 1;
+        }
+        
+        this.isLoaded = true;
+        if (version > this.SCHEMA_VERSION) {
+            // Written by a newer calculator; leave it for that one
+            console.warn(`Saved data is from schema version ${version}; it will not be read or changed`);
+            return;
+        }
+        this.isWritable = true;
+        
+        let records = {};
+        this.RECORDS.forEach((name) => {
+            records[name] = this.parseRecord(name, saved[name], version);
+        });
+        
+        for (; version < this.SCHEMA_VERSION; version++) {
+            records = this.MIGRATIONS[version](records);
+            this.RECORDS.forEach((name) => this.dirty.add(name));
+        }
+        
+        this.RECORDS.forEach((name) => {
+            this.records[name] = records[name];
+            this.texts[name] = records[name] === null ? null : JSON.stringify(records[name]);
+        });
+        
+        if (this.dirty.size > 0) {
+            this.flush();
+        }
+    }
+    
+    /**
+     * Parse a saved record; one that cannot be read is removed
+     * @param {string} name - Record name
+     * @param {string|null} text - Saved text
+     * @param {number} version - Schema version it was saved with
+     * @returns {*} The record, or null
+     */
+    parseRecord(name, text, version) {
+        if (text === null) return null;
+        
+        // Version 1 saved the theme name as plain text
+        if (version === 1 && name === 'Theme') return text;
+        
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            console.warn(`Saved ${name} is corrupt and was discarded`);
+            this.removeItem(name);
+            return null;
+        }
+    }
+    
+    /**
+     * Get a record
+     * @param {string} name - Record name, e.g. 'History'
+     * @returns {*} The record, or null if nothing is saved
+     */
+    read(name) {
+        return this.records[name] === undefined ? null : this.records[name];
+    }
+    
+    /**
+     * Change a record; it is written after saveDelay, together with any
+     * other changes in that time. Unchanged records are not written again.
+     * @param {string} name - Record name
+     * @param {*} data - JSON-serializable record
+     */
+    write(name, data) {
+        if (!this.isWritable) return;
+        
+        const text = JSON.stringify(data);
+        if (text === this.texts[name]) return;
+        
+        this.records[name] = JSON.parse(text);
+        this.texts[name] = text;
+        this.dirty.add(name);
+        
+        if (this.saveDelay <= 0) {
+            this.flush();
+            return;
+        }
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.flush(), this.saveDelay);
+    }
+    
+    /**
+     * Write the changed records to the backend now
+     */
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.isWritable) return;
+        
+        if (this.dirty.size > 0) {
+            this.setItem('Version', String(this.SCHEMA_VERSION));
+        }
+        this.dirty.forEach((name) => {
+            if (this.texts[name] === null) {
+                this.removeItem(name);
+            } else {
+                this.setItem(name, this.texts[name]);
+            }
+        });
+        this.dirty.clear();
+    }
+    
+    /**
+     * Take a record another tab has saved (from a storage event)
+     * @param {string|null} key - Backend key; null when the storage was cleared
+     * @param {string|null} text - New text, or null if it was removed
+     * @returns {boolean} True if a record of this calculator changed
+     */
+    receive(key, text) {
+        if (!this.isWritable) return false;
+        
+        if (key === null) {
+            this.RECORDS.forEach((name) => {
+                this.records[name] = null;
+                this.texts[name] = null;
+            });
+            this.dirty.clear();
+            return true;
+        }
+        
+        const name = this.RECORDS.find((record) => this.key(record) === key);
+        if (!name || text === this.texts[name]) return false;
+        
+        let data = null;
+        if (text !== null) {
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                console.warn(`Ignoring corrupt ${name} saved in another tab`);
+                return false;
+            }
+        }
+        
+        // The other tab's change is newer than one still waiting here
+        this.records[name] = data;
+        this.texts[name] = text;
+        this.dirty.delete(name);
+        return true;
+    }
+    
+    /**
+     * Write one item, reporting failures of synchronous and asynchronous backends
+     * @param {string} name - Record name
+     * @param {string} text - Text to store
+     */
+    setItem(name, text) {
+        this.report(name, () => this.backend.setItem(this.key(name), text));
+    }
+    
+    /**
+     * Remove one item, reporting failures
+     * @param {string} name - Record name
+     */
+    removeItem(name) {
+        this.report(name, () => this.backend.removeItem(this.key(name)));
+    }
+    
+    /**
+     * Run a backend write; a failure (e.g. a full quota) is logged, as the
+     * calculator keeps working without saving
+     * @param {string} name - Record name, for the message
+     * @param {Function} write - Backend call
+     */
+    report(name, write) {
+        const fail = (error) => console.warn(`Could not save ${name}:`, error);
+        try {
+            const result = write();
+            if (result && typeof result.then === 'function') {
+                result.catch(fail);
+            }
+        } catch (error) {
+            fail(error);
+        }
+    }
+}
+
+/**
+ * Calculators that are mounted and not destroyed, so that each one
+ * mounted without a storage namespace can be given its own
+ */
+const MOUNTED_CALCULATORS = new Set();
+
+/**
+ * DOM view for the calculator: wires buttons, keyboard and panels to a
+ * CalculatorEngine (calculator-engine.js) and renders its state.
+ * Each instance is mounted into its own container with its own state,
+ * storage namespace and keyboard scope.
+ */
+class Calculator {
+    /**
+     * Mount a calculator into a container element
+     * @param {Element} container - Element to render the calculator into
+     * @param {Object} [options] - See constructor
+     * @returns {Calculator} The mounted calculator
+     */
+    static mount(container, options = {}) {
+        return new Calculator(container, options);
+    }
+    
+    /**
+     * Pick the storage namespace of a calculator mounted without one. The
+     * first is 'calculator'; others are named after their container's id,
+     * or numbered in mounting order, so they never share saved data.
+     * @param {Element} [container] - Element the calculator is mounted into
+     * @returns {string} A namespace no mounted calculator uses
+     */
+    static defaultNamespace(container) {
+        const inUse = (namespace) => Array.from(MOUNTED_CALCULATORS)
+            .some((calculator) => calculator.storageNamespace === namespace);
+        
+        if (!inUse('calculator')) return 'calculator';
+        if (container && container.id && !inUse(`calculator-${container.id}`)) {
+            return `calculator-${container.id}`;
+        }
+        
+        let number = 2;
+        while (inUse(`calculator${number}`)) {
+            number++;
+        }
+        return `calculator${number}`;
+    }
+    
+    /**
+     * @param {Element} container - Element to render the calculator into
+     * @param {Object} [options] - Mount options
+     * @param {string} [options.storageNamespace] - Prefix for storage keys; see defaultNamespace()
+     * @param {Object} [options.storage] - Storage backend (see CalculatorStorage); defaults to localStorage
+     * @param {number} [options.saveDelay=250] - Milliseconds to gather changes before saving them
+     * @param {boolean} [options.syncTabs=false] - Follow changes saved by other tabs with the same namespace
+     * @param {boolean} [options.autofocus=false] - Focus the calculator after mounting
+     * @param {boolean} [options.speakOperators=false] - Announce operators as words ("times", "divided by")
+     * @param {Object<string, string[]>} [options.keymap] - Key chords per input, replacing the defaults for those inputs
+     * @param {EventTarget} [options.keyboardTarget] - Element whose key presses drive the calculator; defaults to the calculator itself
+     * @param {Array<Object>} [options.plugins] - Plugins to install when mounting, see use()
+     * @param {string} [options.theme='dark'] - Theme until the user picks one: 'auto' or a theme name
+     * @param {Array<Object>} [options.themes] - Themes to register when mounting, see registerTheme()
+     * @param {Object} [options.engine] - Options passed to CalculatorEngine
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = options;
+        if (this.container) {
+            this.container.calculatorInstance = this;
+        }
+        this.storageNamespace = options.storageNamespace || Calculator.defaultNamespace(container);
+        MOUNTED_CALCULATORS.add(this);
+        this.storage = new CalculatorStorage({
+            namespace: this.storageNamespace,
+            backend: options.storage,
+            saveDelay: options.saveDelay
+        });
+        
+        // Listeners registered through listen(), removed again by destroy()
+        this.listeners = [];
+        
+        // Handlers registered through on(), by event type
+        this.EVENT_TYPES = ['input', 'evaluate', 'error', 'clear', 'themechange'];
+        this.subscribers = {};
+        
+        // Render the default markup unless the container already provides it
+        if (this.container && !this.container.querySelector('.calculator')) {
+            this.container.innerHTML = CALCULATOR_TEMPLATE;
+            this.renderedTemplate = true;
+        }
+        
+        // DOM element references, scoped to this calculator
+        const root = this.container ? this.container.querySelector('.calculator') : null;
+        const find = (selector) => (root ? root.querySelector(selector) : null);
+        
+        this.calculator = root;
+        this.display = find('.display');
+        this.displayMessage = find('.display-message');
+        this.displayPreview = find('.display-preview');
+        this.displayAnnouncer = find('.display-announcer');
+        this.buttons = root ? root.querySelectorAll('button[data-input]') : [];
+        this.themeSelect = find('.theme-select');
+        this.exactModeBtn = find('[data-input="exact"]');
+        this.fractionModeBtn = find('[data-input="fraction"]');
+        this.fractionFormatBtn = find('[data-input="fraction-format"]');
+        this.historyPanel = find('.history-panel');
+        this.historyList = find('.history-list');
+        this.historyToggleBtn = find('[data-input="history"]');
+        this.memoryIndicator = find('.memory-indicator');
+        this.memoryPanel = find('.memory-panel');
+        this.memoryList = find('.memory-list');
+        this.memoryNameInput = find('.memory-name');
+        this.memoryToggleBtn = find('[data-input="memory"]');
+        this.variablesPanel = find('.variables-panel');
+        this.variablesList = find('.variables-list');
+        this.variableNameInput = find('.variable-name');
+        this.variableValueInput = find('.variable-value');
+        this.variablesToggleBtn = find('[data-input="variables"]');
+        this.functionsPanel = find('.functions-panel');
+        this.functionsList = find('.functions-list');
+        this.functionDefinitionInput = find('.function-definition');
+        this.functionsFileInput = find('.functions-file');
+        this.functionsToggleBtn = find('[data-input="functions"]');
+        this.unitsPanel = find('.units-panel');
+        this.unitDimensionSelect = find('.unit-dimension');
+        this.unitFromSelect = find('.unit-from');
+        this.unitToSelect = find('.unit-to');
+        this.unitConvertBtn = find('[data-input="unit-convert"]');
+        this.unitsToggleBtn = find('[data-input="units"]');
+        this.displaySettingsPanel = find('.display-settings-panel');
+        this.displayNotationSelect = find('.display-notation');
+        this.displayDecimalsInput = find('.display-decimals');
+        this.displaySignificantInput = find('.display-significant-digits');
+        this.displayThresholdInput = find('.display-threshold');
+        this.speakOperatorsInput = find('.speak-operators');
+        this.displaySettingsToggleBtn = find('[data-input="display-settings"]');
+        this.scientificToggleBtn = find('[data-input="scientific"]');
+        this.programmerToggleBtn = find('[data-input="programmer"]');
+        this.readoutButtons = root ? root.querySelectorAll('.btn-readout') : [];
+        this.pluginButtons = find('.plugin-buttons');
+        this.wordSizeBtn = find('[data-input="word-size"]');
+        this.signedBtn = find('[data-input="signed"]');
+        this.angleModeBtn = find('[data-input="angle"]');
+        this.localeSelect = find('.locale-select');
+        
+        // Expression state and evaluation live in the headless engine
+        this.engine = new CalculatorEngine({
+            ...options.engine,
+            onChange: (kind, detail) => this.handleEngineChange(kind, detail)
+        });
+        
+        // View state
         this.isDark = true;
+        this.themeSetting = 'dark';
+        this.appliedTheme = 'dark';
+        this.colorSchemeQuery = typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+            ? window.matchMedia('(prefers-color-scheme: dark)')
+            : null;
+        this.isScientific = false;
         this.isInitialized = false;
+        this.isRestoring = false;
+        
+        // Screen reader announcements: read operators as words if asked,
+        // and remember what was last reported so it is said only once
+        this.speakOperators = Boolean(options.speakOperators);
+        this.reportedExpression = '';
+        this.announcedError = null;
+        
+        // Words read for operators when speakOperators is on
+        this.SPOKEN_OPERATORS = {
+            '+': 'plus', '-': 'minus', '*': 'times', '/': 'divided by',
+            '^': 'to the power of', '%': 'percent', '!': 'factorial',
+            '×': 'times', '÷': 'divided by', '−': 'minus'
+        };
+        
+        // Names of the angle modes for the angle button's label
+        this.ANGLE_MODE_NAMES = { deg: 'degrees', rad: 'radians', grad: 'gradians' };
+        
+        // Default key bindings: input name → key chords. A chord is the
+        // key as the browser names it (' ' is written Space), with Ctrl, Alt
+        // and Shift in front, e.g. 'Ctrl+Shift+Z'; Cmd counts as Ctrl. Shift
+        // is only written for named keys and together with Ctrl or Alt:
+        // Shift+S is simply 'S'.
+        this.DEFAULT_KEYMAP = {
+            // Hex digits and bitwise operators, only in programmer mode
+            'A': ['a', 'A'], 'B': ['b', 'B'], 'C': ['c', 'C'],
+            'D': ['d', 'D'], 'E': ['e', 'E'], 'F': ['f', 'F'],
+            '&': ['&'], '|': ['|'], '~': ['~'], '<<': ['<'], '>>': ['>'],
+            
+            '0': ['0'], '1': ['1'], '2': ['2'], '3': ['3'], '4': ['4'],
+            '5': ['5'], '6': ['6'], '7': ['7'], '8': ['8'], '9': ['9'],
+            '+': ['+'], '-': ['-'], '*': ['*', '×'], '/': ['/', '÷'],
+            '.': ['.'], '(': ['('], ')': [')'], '%': ['%'],
+            '^': ['^'], '!': ['!'], ',': [','],
+            'equal': ['Enter', '='], 'mixed': ['Space'],
+            'backspace': ['Backspace'], 'delete': ['Delete'], 'clear': ['Escape'],
+            'caret-left': ['ArrowLeft'], 'caret-right': ['ArrowRight'],
+            'caret-home': ['Home'], 'caret-end': ['End'],
+            
+            // Scientific functions
+            'sin': ['s'], 'cos': ['o'], 'tan': ['t'],
+            'asin': ['S'], 'acos': ['O'], 'atan': ['T'],
+            'log': ['l'], 'ln': ['n'], 'sqrt': ['r'], 'root': ['R'],
+            'pi': ['p'], 'e': ['e'], 'square': ['q'], 'angle': ['d'], 'ans': ['a'],
+            'fraction-format': ['f'],
+            
+            // Memory keys (common desktop calculator bindings) and undo
+            'mc': ['Ctrl+L'], 'mr': ['Ctrl+R'], 'm+': ['Ctrl+P'], 'm-': ['Ctrl+Q'], 'ms': ['Ctrl+M'],
+            'undo': ['Ctrl+Z'], 'redo': ['Ctrl+Shift+Z', 'Ctrl+Y']
+        };
+        
+        // Inputs that only exist in programmer mode
+        this.PROGRAMMER_INPUTS = ['&', '|', '~', '<<', '>>'];
+        
+        // Bindings added by plugins, and those changed through
+        // setKeyBinding(), which are saved to storage
+        this.pluginKeymap = {};
+        this.customKeymap = {};
+        this.keyBindings = new Map();
+        
+        // Locales offered for number formatting besides following the browser
+        this.LOCALES = ['en-US', 'en-GB', 'en-IN', 'de-DE', 'de-CH', 'fr-FR', 'es-ES', 'it-IT', 'nl-NL', 'pt-BR'];
         
-        // Configuration constants
-        this.MAX_DISPLAY_LENGTH = 25;
-        this.MAX_DECIMAL_PLACES = 10;
-        this.SCIENTIFIC_NOTATION_THRESHOLD = 1e10;
-        this.MINIMUM_VALUE_THRESHOLD = 1e-15;
+        // Themes by name, as values for the custom properties in style.css.
+        // Light is the stylesheet's own values; the 'auto' setting follows
+        // the system with the light and dark themes.
+        this.themes = {
+            'light': { label: 'Light', scheme: 'light', properties: {} },
+            'dark': {
+                label: 'Dark',
+                scheme: 'dark',
+                properties: {
+                    '--calc-background': '#071115',
+                    '--calc-text': '#f8fafd',
+                    '--calc-muted': '#888888',
+                    '--calc-divider': 'rgba(136, 136, 136, 0.3)',
+                    '--calc-hover': 'rgba(136, 136, 136, 0.2)',
+                    '--calc-error': '#bd3740',
+                    '--calc-danger': '#fc4552',
+                    '--calc-clear-background': '#2d191e',
+                    '--calc-clear-color': '#bd3740',
+                    '--calc-number-background': '#1b2f38',
+                    '--calc-number-color': '#f8fafb',
+                    '--calc-operator-background': '#2e1f39',
+                    '--calc-operator-color': '#aa00a4',
+                    '--calc-equal-background': '#223323',
+                    '--calc-equal-color': '#ffffff',
+                    '--calc-function-background': '#302a17',
+                    '--calc-function-color': '#e0b030',
+                    '--calc-active-background': '#223323',
+                    '--calc-active-color': '#ffffff'
+                }
+            },
+            'high-contrast': {
+                label: 'High contrast',
+                scheme: 'dark',
+                properties: {
+                    '--calc-background': '#000000',
+                    '--calc-text': '#ffffff',
+                    '--calc-muted': '#ffffff',
+                    '--calc-divider': '#ffffff',
+                    '--calc-hover': 'rgba(255, 255, 255, 0.3)',
+                    '--calc-focus': '#ffff00',
+                    '--calc-error': '#ff8080',
+                    '--calc-danger': '#ff8080',
+                    '--calc-shadow': '#ffffff',
+                    '--calc-clear-background': '#ff8080',
+                    '--calc-clear-color': '#000000',
+                    '--calc-number-background': '#ffffff',
+                    '--calc-number-color': '#000000',
+                    '--calc-operator-background': '#ffff00',
+                    '--calc-operator-color': '#000000',
+                    '--calc-equal-background': '#00ff80',
+                    '--calc-equal-color': '#000000',
+                    '--calc-function-background': '#00e5ff',
+                    '--calc-function-color': '#000000',
+                    '--calc-active-background': '#ffff00',
+                    '--calc-active-color': '#000000'
+                }
+            },
+            'solarized': {
+                label: 'Solarized',
+                scheme: 'dark',
+                properties: {
+                    '--calc-background': '#002b36',
+                    '--calc-text': '#eee8d5',
+                    '--calc-muted': '#93a1a1',
+                    '--calc-divider': 'rgba(147, 161, 161, 0.3)',
+                    '--calc-hover': 'rgba(147, 161, 161, 0.2)',
+                    '--calc-focus': '#b58900',
+                    '--calc-error': '#dc322f',
+                    '--calc-danger': '#dc322f',
+                    '--calc-clear-background': '#073642',
+                    '--calc-clear-color': '#dc322f',
+                    '--calc-number-background': '#073642',
+                    '--calc-number-color': '#eee8d5',
+                    '--calc-operator-background': '#073642',
+                    '--calc-operator-color': '#d33682',
+                    '--calc-equal-background': '#859900',
+                    '--calc-equal-color': '#002b36',
+                    '--calc-function-background': '#073642',
+                    '--calc-function-color': '#b58900',
+                    '--calc-active-background': '#859900',
+                    '--calc-active-color': '#002b36'
+                }
+            }
+        };
         
         // Initialize only if required elements exist
         if (this.validateElements()) {
@@ -54,10 +936,10 @@ class Calculator {
      */
     validateElements() {
         const validationResults = [
-            { element: this.display, name: 'Calculator display (#display)', required: true },
+            { element: this.calculator, name: 'Calculator container (.calculator)', required: true },
+            { element: this.display, name: 'Calculator display (.display)', required: true },
             { element: this.buttons, name: 'Calculator buttons', required: true, checkLength: true },
-            { element: this.themeToggleBtn, name: 'Theme toggle (.theme-toggler)', required: false },
-            { element: this.calculator, name: 'Calculator container (.calculator)', required: false }
+            { element: this.themeSelect, name: 'Theme picker (.theme-select)', required: false }
         ];
 
         let isValid = true;
@@ -68,527 +950,1953 @@ class Calculator {
                     console.error(`${name} not found`);
                     isValid = false;
                 }
-            }
-        });
-
-        return isValid;
+            }
+        });
+
+        return isValid;
+    }
+    
+    /**
+     * Initialize the calculator
+     */
+    init() {
+        if (this.isInitialized) return;
+        
+        try {
+            this.setupEventListeners();
+            this.installPlugins();
+            this.installThemes();
+            this.renderUnits();
+            
+            // A synchronous backend has loaded when open() returns; with an
+            // asynchronous one the calculator starts fresh and takes the
+            // saved data once it arrives
+            const loading = this.storage.open();
+            this.restoreSavedData();
+            if (!this.storage.isLoaded) {
+                loading.then(() => {
+                    if (this.isInitialized) {
+                        this.restoreSavedData();
+                    }
+                });
+            }
+            this.isInitialized = true;
+            
+            if (this.options.autofocus) {
+                this.calculator.focus();
+            }
+            console.log('Calculator initialized successfully');
+        } catch (error) {
+            console.error('Calculator initialization failed:', error);
+        }
+    }
+    
+    /**
+     * Load everything saved for this calculator and show it. Nothing is
+     * saved or announced while it is restored.
+     */
+    restoreSavedData() {
+        this.isRestoring = true;
+        try {
+            this.loadThemePreference();
+            this.loadHistory();
+            this.loadMemory();
+            this.loadFunctions();
+            this.loadKeymap();
+            this.loadCalculatorState();
+            this.renderLocales();
+            this.renderDisplaySettings();
+            this.updateDisplay();
+        } finally {
+            this.isRestoring = false;
+        }
+    }
+    
+    /**
+     * Add an event listener that destroy() will remove
+     * @param {EventTarget} target - Element or window
+     * @param {string} type - Event type
+     * @param {Function} handler - Event handler
+     */
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
+    }
+    
+    /**
+     * Set up all event listeners
+     */
+    setupEventListeners() {
+        // Button click events, delegated so one listener covers every button
+        this.listen(this.calculator, 'click', (e) => {
+            const button = e.target.closest('button[data-input]');
+            if (!button || !this.calculator.contains(button)) return;
+            
+            e.preventDefault();
+            this.handleInput(button.dataset.input);
+        });
+        
+        // Clicking the display places the caret
+        this.listen(this.display, 'click', (e) => {
+            this.handleDisplayClick(e);
+        });
+        
+        // History entries are rendered dynamically, so delegate their clicks
+        if (this.historyList) {
+            this.listen(this.historyList, 'click', (e) => {
+                const target = e.target.closest('[data-history-action]');
+                if (!target) return;
+                
+                e.preventDefault();
+                const entryId = Number(target.closest('[data-history-id]').dataset.historyId);
+                this.handleHistoryAction(target.dataset.historyAction, entryId);
+            });
+        }
+        
+        // Named memory registers are rendered dynamically as well
+        if (this.memoryList) {
+            this.listen(this.memoryList, 'click', (e) => {
+                const target = e.target.closest('[data-memory-action]');
+                if (!target) return;
+                
+                e.preventDefault();
+                const name = target.closest('[data-memory-name]').dataset.memoryName;
+                this.handleNamedMemoryAction(target.dataset.memoryAction, name);
+            });
+        }
+        
+        // Variables too
+        if (this.variablesList) {
+            this.listen(this.variablesList, 'click', (e) => {
+                const target = e.target.closest('[data-variable-action]');
+                if (!target) return;
+                
+                e.preventDefault();
+                const name = target.closest('[data-variable-name]').dataset.variableName;
+                this.handleVariableAction(target.dataset.variableAction, name);
+            });
+        }
+        
+        // And user-defined functions
+        if (this.functionsList) {
+            this.listen(this.functionsList, 'click', (e) => {
+                const target = e.target.closest('[data-function-action]');
+                if (!target) return;
+                
+                e.preventDefault();
+                const name = target.closest('[data-function-name]').dataset.functionName;
+                this.handleFunctionAction(target.dataset.functionAction, name);
+            });
+        }
+        
+        if (this.functionsFileInput) {
+            this.listen(this.functionsFileInput, 'change', () => {
+                this.importFunctionsFile(this.functionsFileInput.files[0]);
+            });
+        }
+        
+        if (this.unitDimensionSelect) {
+            this.listen(this.unitDimensionSelect, 'change', () => {
+                this.renderUnitOptions();
+            });
+        }
+        
+        if (this.displaySettingsPanel) {
+            this.listen(this.displaySettingsPanel, 'change', (e) => {
+                if (e.target === this.speakOperatorsInput) {
+                    this.speakOperators = this.speakOperatorsInput.checked;
+                    this.saveCalculatorState();
+                } else {
+                    this.applyDisplaySettings();
+                }
+            });
+        }
+        
+        if (this.localeSelect) {
+            this.listen(this.localeSelect, 'change', () => {
+                this.engine.setLocale(this.localeSelect.value || null);
+                this.updateDisplay();
+            });
+        }
+        
+        // Keyboard events, only while focus is inside this calculator
+        // unless the host page routes its keys here
+        this.listen(this.options.keyboardTarget || this.calculator, 'keydown', (event) => {
+            this.handleKeyboard(event);
+        });
+        
+        // Pasted text goes into the expression, read in the number locale
+        this.listen(this.calculator, 'paste', (event) => {
+            this.handlePaste(event);
+        });
+        
+        // Copying takes the result as displayed
+        this.listen(this.calculator, 'copy', (event) => {
+            this.handleCopy(event);
+        });
+        
+        // Theme picker (only if elements exist)
+        if (this.themeSelect) {
+            this.listen(this.themeSelect, 'change', () => {
+                this.setTheme(this.themeSelect.value);
+            });
+        }
+        
+        // The auto theme follows the system setting as it changes
+        if (this.colorSchemeQuery) {
+            this.listen(this.colorSchemeQuery, 'change', () => {
+                if (this.themeSetting === 'auto') {
+                    this.applyTheme();
+                }
+            });
+        }
+
+        // Write pending changes before the page goes away. Mobile browsers
+        // often skip beforeunload, but do hide the page first.
+        this.listen(window, 'beforeunload', () => {
+            this.saveNow();
+        });
+        this.listen(window, 'pagehide', () => {
+            this.saveNow();
+        });
+        this.listen(document, 'visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.saveNow();
+            }
+        });
+        
+        // Changes another tab saved under the same namespace
+        if (this.options.syncTabs) {
+            this.listen(window, 'storage', (event) => {
+                if (event.storageArea === this.storage.backend && this.storage.receive(event.key, event.newValue)) {
+                    this.restoreSavedData();
+                }
+            });
+        }
+    }
+    
+    /**
+     * Unmount the calculator: save its state, remove every listener
+     * and the markup it rendered
+     */
+    destroy() {
+        if (this.isInitialized) {
+            this.saveNow();
+        }
+        
+        this.listeners.forEach(({ target, type, handler }) => {
+            target.removeEventListener(type, handler);
+        });
+        this.listeners = [];
+        this.subscribers = {};
+        
+        if (this.renderedTemplate && this.container) {
+            this.container.innerHTML = '';
+        }
+        
+        if (this.container && this.container.calculatorInstance === this) {
+            delete this.container.calculatorInstance;
+        }
+        MOUNTED_CALCULATORS.delete(this);
+        
+        this.isInitialized = false;
+    }
+    
+    /**
+     * Subscribe to calculator events:
+     * - input: the expression changed ({ expression })
+     * - evaluate: an expression was evaluated ({ expression, result, formatted })
+     * - error: evaluation failed ({ expression, error })
+     * - clear: the calculator was cleared ({})
+     * - themechange: the theme was switched ({ theme, applied, scheme }), where
+     *   theme may be 'auto', applied is the theme in use and scheme 'dark' or 'light'
+     * @param {string} type - Event type
+     * @param {Function} handler - Called with the event details
+     * @returns {Function} Call to unsubscribe again
+     */
+    on(type, handler) {
+        if (!this.EVENT_TYPES.includes(type)) {
+            console.warn(`Unknown calculator event: ${type}`);
+            return () => {};
+        }
+        
+        if (!this.subscribers[type]) {
+            this.subscribers[type] = [];
+        }
+        this.subscribers[type].push(handler);
+        return () => this.off(type, handler);
+    }
+    
+    /**
+     * Unsubscribe a handler registered with on()
+     * @param {string} type - Event type
+     * @param {Function} handler - The handler to remove
+     */
+    off(type, handler) {
+        if (this.subscribers[type]) {
+            this.subscribers[type] = this.subscribers[type].filter((subscriber) => subscriber !== handler);
+        }
+    }
+    
+    /**
+     * Call the handlers subscribed to an event. A failing handler is
+     * logged and does not stop the others or the calculator.
+     * @param {string} type - Event type
+     * @param {Object} detail - Event details
+     */
+    emit(type, detail) {
+        (this.subscribers[type] || []).slice().forEach((handler) => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Calculator ${type} handler failed:`, error);
+            }
+        });
+    }
+    
+    /**
+     * Install the plugins given when mounting. A plugin that fails is
+     * reported and left out; the calculator works without it.
+     */
+    installPlugins() {
+        (this.options.plugins || []).forEach((plugin) => {
+            try {
+                this.use(plugin);
+            } catch (error) {
+                if (!(error instanceof CalculatorError)) throw error;
+                console.error(`Plugin ${plugin && plugin.name} not installed:`, error.message);
+            }
+        });
+    }
+    
+    /**
+     * Install a plugin. Its operators, functions and constants go to the
+     * engine, which checks them (see CalculatorEngine#registerPlugin);
+     * its buttons and key bindings to this view. Nothing is installed if
+     * any part is invalid.
+     * @param {Object} plugin - Plugin definition
+     * @param {Array<Object>} [plugin.buttons] - Buttons as { input, label, title }, where
+     *     input is what the button types: an operator symbol, a function or constant name
+     * @param {Object<string, string[]>} [plugin.keymap] - Key chords by input
+     * @returns {Calculator} This calculator, so calls can be chained
+     * @throws {CalculatorError} If the plugin is invalid
+     */
+    use(plugin) {
+        const fail = (message) => {
+            throw new CalculatorError(message, 'invalid-plugin');
+        };
+        const buttons = (plugin && plugin.buttons) || [];
+        const keymap = (plugin && plugin.keymap) || {};
+        
+        if (!Array.isArray(buttons) || !buttons.every((button) => button &&
+            typeof button.input === 'string' && button.input !== '' &&
+            typeof button.label === 'string' && button.label !== '')) {
+            fail('Plugin buttons need an input and a label');
+        }
+        Object.keys(keymap).forEach((input) => {
+            if (!Array.isArray(keymap[input]) || keymap[input].some((chord) => this.normalizeKeyChord(chord) === null)) {
+                fail(`Invalid key chords for ${input}`);
+            }
+        });
+        
+        this.engine.registerPlugin(plugin);
+        
+        buttons.forEach(({ input, label, title }) => {
+            if (!this.pluginButtons) return;
+            
+            const button = document.createElement('button');
+            button.className = 'btn-function';
+            button.dataset.input = input;
+            button.textContent = label;
+            if (title) {
+                button.title = title;
+                button.setAttribute('aria-label', title);
+            }
+            this.pluginButtons.appendChild(button);
+        });
+        
+        Object.keys(keymap).forEach((input) => {
+            this.pluginKeymap[input] = keymap[input].slice();
+        });
+        this.buildKeyBindings();
+        
+        return this;
+    }
+    
+    /**
+     * Handle a key press through the keymap. Only bound keys are taken
+     * from the browser. Host pages can also pass their own key events here.
+     * @param {KeyboardEvent} event - The keyboard event
+     */
+    handleKeyboard(event) {
+        const key = event.key;
+        
+        // Leave typing in form fields (e.g. memory register names) alone
+        if (event.target && event.target.closest && event.target.closest('input, textarea, select')) {
+            return;
+        }
+        
+        // Enter and Space press a focused button, as they do anywhere else
+        if ((key === 'Enter' || key === ' ') && event.target !== this.calculator &&
+            event.target && event.target.closest && event.target.closest('button')) {
+            return;
+        }
+        
+        const chord = this.getKeyChord(event);
+        const input = this.getLocaleInput(chord) || this.getKeyAction(chord);
+        if (!input) return;
+        
+        // Bound keys are ours, not the browser's shortcuts
+        event.preventDefault();
+        this.handleInput(input);
+    }
+    
+    /**
+     * Name the key combination of a keyboard event as a chord
+     * @param {KeyboardEvent} event - The keyboard event
+     * @returns {string|null} Chord, e.g. '7', 'S', 'Space' or 'Ctrl+Shift+Z'; null for a lone modifier
+     */
+    getKeyChord(event) {
+        const modifiers = new Set();
+        if (event.ctrlKey || event.metaKey) modifiers.add('Ctrl');
+        if (event.altKey) modifiers.add('Alt');
+        if (event.shiftKey) modifiers.add('Shift');
+        
+        return this.formatKeyChord(modifiers, event.key);
+    }
+    
+    /**
+     * Write a chord given as text the way the keymap stores it
+     * @param {string} chord - Chord such as 'ctrl+shift+z', 'Cmd+Y', 'Shift+s' or 'Ctrl++'
+     * @returns {string|null} Normalized chord, or null if it names no key
+     */
+    normalizeKeyChord(chord) {
+        if (typeof chord !== 'string' || chord === '') return null;
+        
+        // A trailing '+' is the plus key itself
+        const parts = chord === '+' ? ['+'] : chord.split(/\+(?!$)/);
+        const key = parts.pop();
+        const modifiers = new Set(parts.map((part) => {
+            const name = part.toLowerCase();
+            if (['ctrl', 'control', 'cmd', 'command', 'meta'].includes(name)) return 'Ctrl';
+            if (['alt', 'option'].includes(name)) return 'Alt';
+            if (name === 'shift') return 'Shift';
+            return null;
+        }));
+        if (modifiers.has(null)) return null;
+        
+        return this.formatKeyChord(modifiers, key);
+    }
+    
+    /**
+     * Join modifiers and a key into a chord: modifiers in the order Ctrl,
+     * Alt, Shift, letters upper-case after Ctrl or Alt, and Shift left
+     * out where the character already says it
+     * @param {Set<string>} modifiers - 'Ctrl', 'Alt' and/or 'Shift'
+     * @param {string} key - Key name as in KeyboardEvent.key
+     * @returns {string|null} Chord, or null if the key is missing or itself a modifier
+     */
+    formatKeyChord(modifiers, key) {
+        if (!key || ['Control', 'Meta', 'Alt', 'Shift'].includes(key)) return null;
+        if (key.length > 1 && key.includes('+')) return null;
+        
+        if (key === ' ' || key.toLowerCase() === 'space') key = 'Space';
+        
+        if (key.length === 1) {
+            if (modifiers.has('Ctrl') || modifiers.has('Alt')) {
+                key = key.toUpperCase();
+            } else {
+                if (modifiers.has('Shift')) key = key.toUpperCase();
+                modifiers.delete('Shift');
+            }
+        }
+        
+        return ['Ctrl', 'Alt', 'Shift'].filter((name) => modifiers.has(name)).concat(key).join('+');
+    }
+    
+    /**
+     * Find the input bound to a chord. Where a chord is bound to several
+     * inputs, the first one usable in the current mode wins, so a-f type
+     * hex digits in programmer mode and functions elsewhere.
+     * @param {string} chord - Normalized chord
+     * @returns {string|null} Input name, or null if the chord is not bound
+     */
+    getKeyAction(chord) {
+        const inputs = this.keyBindings.get(chord) || [];
+        return inputs.find((input) => this.isKeyInputAvailable(input)) || null;
+    }
+    
+    /**
+     * Check whether a bound input can be typed in the current mode
+     * @param {string} input - Input name
+     * @returns {boolean} False for programmer inputs outside programmer mode and digits outside the base
+     */
+    isKeyInputAvailable(input) {
+        const programmer = this.engine.arithmeticMode === 'programmer';
+        if (/^[A-F]$/.test(input)) {
+            return programmer && this.engine.isDigit(input);
+        }
+        return programmer || !this.PROGRAMMER_INPUTS.includes(input);
+    }
+    
+    /**
+     * Get the key chords of every input, with the user's changes applied
+     * @returns {Object<string, string[]>} Input name → chords
+     */
+    getKeymap() {
+        return { ...this.DEFAULT_KEYMAP, ...this.pluginKeymap, ...this.options.keymap, ...this.customKeymap };
+    }
+    
+    /**
+     * Bind an input to key chords instead of its current ones, and save
+     * the change. Chords the user binds take precedence over the defaults.
+     * @param {string} input - Input name, e.g. 'sqrt', 'equal' or 'history'
+     * @param {string|string[]} chords - Chord or chords; an empty list unbinds the input
+     * @returns {boolean} False if the input or a chord is not valid
+     */
+    setKeyBinding(input, chords) {
+        const isInput = Object.prototype.hasOwnProperty.call(this.DEFAULT_KEYMAP, input) ||
+            Object.prototype.hasOwnProperty.call(this.pluginKeymap, input) ||
+            Array.from(this.calculator.querySelectorAll('button[data-input]')).some((button) => button.dataset.input === input);
+        if (!isInput) {
+            console.warn(`Unknown calculator input: ${input}`);
+            return false;
+        }
+        
+        const normalized = [].concat(chords).map((chord) => this.normalizeKeyChord(chord));
+        if (normalized.includes(null)) {
+            console.warn(`Invalid key chord for ${input}: ${chords}`);
+            return false;
+        }
+        
+        this.customKeymap[input] = Array.from(new Set(normalized));
+        this.buildKeyBindings();
+        this.saveKeymap();
+        return true;
+    }
+    
+    /**
+     * Drop the user's key bindings and go back to the defaults
+     */
+    resetKeymap() {
+        this.customKeymap = {};
+        this.buildKeyBindings();
+        this.saveKeymap();
+    }
+    
+    /**
+     * Index the keymap by chord. The user's bindings come first so they
+     * win over a default bound to the same chord.
+     */
+    buildKeyBindings() {
+        const keymap = this.getKeymap();
+        const inputs = Object.keys(this.customKeymap).concat(Object.keys(keymap));
+        
+        this.keyBindings = new Map();
+        new Set(inputs).forEach((input) => {
+            keymap[input].forEach((chord) => {
+                const normalized = this.normalizeKeyChord(chord);
+                if (!normalized) return;
+                
+                if (!this.keyBindings.has(normalized)) {
+                    this.keyBindings.set(normalized, []);
+                }
+                this.keyBindings.get(normalized).push(input);
+            });
+        });
+    }
+    
+    /**
+     * Map the separator keys of locales that write the decimal point as
+     * ',': there ',' types the decimal point and ';' separates arguments
+     * @param {string} key - The key to check
+     * @returns {string|null} Input name, or null if the locale needs no mapping
+     */
+    getLocaleInput(key) {
+        const engine = this.engine;
+        if (engine.numberSymbols.decimal !== ',' || engine.arithmeticMode === 'programmer') return null;
+        
+        if (key === ',') return '.';
+        if (key === ';') return ',';
+        return null;
+    }
+    
+    /**
+     * Insert pasted text into the expression
+     * @param {ClipboardEvent} event - The paste event
+     */
+    handlePaste(event) {
+        // Pasting into form fields (e.g. variable values) is theirs
+        if (event.target && event.target.closest && event.target.closest('input, textarea, select')) {
+            return;
+        }
+        
+        const text = event.clipboardData ? event.clipboardData.getData('text') : '';
+        if (!text) return;
+        
+        event.preventDefault();
+        this.engine.pasteText(text);
+        this.updateDisplay();
+    }
+    
+    /**
+     * Copy the result as it is displayed, or the expression, unless text
+     * is selected
+     * @param {ClipboardEvent} event - The copy event
+     */
+    handleCopy(event) {
+        if (event.target && event.target.closest && event.target.closest('input, textarea, select')) {
+            return;
+        }
+        if (!event.clipboardData || String(window.getSelection())) return;
+        
+        event.preventDefault();
+        event.clipboardData.setData('text/plain', this.engine.getCopyText());
+    }
+    
+    /**
+     * Update display with proper formatting and validation
+     */
+    updateDisplay() {
+        if (!this.display) return;
+        
+        const engine = this.engine;
+        let displayText = engine.currentExpression || "0";
+        const caret = engine.getCaret();
+        const caretAtEnd = caret === engine.currentExpression.length;
+        
+        // Format results for better readability and group the digits of a
+        // number being typed; the caret then sits at the end. Other input is
+        // shown in the locale's symbols, character for character.
+        const formatted = caretAtEnd && engine.isNumericResult(displayText);
+        if (!formatted) {
+            displayText = engine.localizeExpression(displayText);
+        } else if (engine.lastResult === null) {
+            displayText = engine.localizeNumber(displayText);
+        } else {
+            displayText = engine.formatNumber(displayText);
+        }
+        
+        if (this.exactModeBtn) {
+            this.setPressed(this.exactModeBtn, engine.arithmeticMode === 'decimal');
+        }
+        
+        if (this.fractionModeBtn) {
+            this.setPressed(this.fractionModeBtn, engine.arithmeticMode === 'fraction');
+        }
+        if (this.fractionFormatBtn) {
+            this.fractionFormatBtn.disabled = engine.arithmeticMode !== 'fraction';
+            this.fractionFormatBtn.title = `Show fractions as improper, mixed or decimal (f); now ${engine.fractionFormat}`;
+        }
+        
+        if (this.angleModeBtn) {
+            this.angleModeBtn.textContent = engine.evaluator.angleMode.toUpperCase();
+            this.angleModeBtn.setAttribute('aria-label', `Angle mode: ${this.ANGLE_MODE_NAMES[engine.evaluator.angleMode]}`);
+        }
+        
+        if (this.scientificToggleBtn) {
+            this.setPressed(this.scientificToggleBtn, this.isScientific);
+        }
+        
+        if (this.localeSelect) {
+            this.localeSelect.value = engine.locale || '';
+        }
+        
+        this.updateProgrammerControls();
+        
+        if (this.memoryIndicator) {
+            this.memoryIndicator.classList.toggle('hidden', engine.memory === null);
+            this.memoryIndicator.title = engine.memory === null ? '' : `Memory: ${engine.memory}`;
+        }
+        
+        if (this.displayMessage) {
+            this.displayMessage.textContent = engine.lastError ? engine.lastError.message : '';
+            this.displayMessage.classList.toggle('hidden', !engine.lastError);
+        }
+        
+        if (this.displayPreview) {
+            const preview = engine.lastError ? null : engine.getPreview();
+            this.displayPreview.textContent = preview === null ? '' : `= ${preview}`;
+        }
+        
+        // Update display with error handling
+        try {
+            if (engine.lastError) {
+                this.renderErrorExpression(engine.localizeExpression(engine.currentExpression), engine.lastError);
+            } else {
+                const editable = !formatted || displayText === engine.currentExpression;
+                this.renderExpression(displayText, caretAtEnd ? displayText.length : caret, editable);
+            }
+        } catch (error) {
+            console.error('Display update failed:', error);
+        }
+        
+        this.reportChanges();
+        
+        // Every change ends with a display update; saving is debounced
+        if (this.isInitialized) {
+            this.saveCalculatorState();
+        }
+    }
+    
+    /**
+     * Report changes since the last display update: a changed expression
+     * as an input event, and a new error as an event and through the live
+     * region. Results are reported as they are evaluated, by reportEvaluation.
+     */
+    reportChanges() {
+        const engine = this.engine;
+        
+        // State restored while mounting or from another tab is not reported
+        if (!this.isInitialized || this.isRestoring) {
+            this.reportedExpression = engine.currentExpression;
+            this.announcedError = engine.lastError;
+            return;
+        }
+        
+        if (engine.currentExpression !== this.reportedExpression) {
+            this.reportedExpression = engine.currentExpression;
+            this.emit('input', { expression: engine.currentExpression });
+        }
+        
+        if (engine.lastError) {
+            if (engine.lastError !== this.announcedError) {
+                this.announcedError = engine.lastError;
+                this.announce(`Error: ${engine.lastError.message}`);
+                this.emit('error', { expression: engine.currentExpression, error: engine.lastError });
+            }
+            return;
+        }
+        this.announcedError = null;
+    }
+    
+    /**
+     * Report a result of '=' as an event and through the live region. It
+     * is read with the expression it came from, e.g. "2 times 3 equals 6".
+     * @param {Object} evaluation - The evaluated expression and its result
+     * @param {string} evaluation.expression - Expression in calculator syntax
+     * @param {string} evaluation.result - Result string
+     */
+    reportEvaluation({ expression, result }) {
+        const formatted = this.engine.formatNumber(result);
+        const spoken = this.speakExpression(this.engine.localizeExpression(expression));
+        this.announce(`${spoken} equals ${this.speakExpression(formatted)}`);
+        this.emit('evaluate', { expression, result, formatted });
+    }
+    
+    /**
+     * Show a toggle button as on or off, to screen readers too
+     * @param {Element} button - Mode, panel or base button
+     * @param {boolean} pressed - True if its mode or panel is on
+     */
+    setPressed(button, pressed) {
+        button.classList.toggle('active', pressed);
+        button.setAttribute('aria-pressed', String(pressed));
+    }
+    
+    /**
+     * Put a message into the live region for screen readers
+     * @param {string} message - Text to announce
+     */
+    announce(message) {
+        if (this.displayAnnouncer) {
+            this.displayAnnouncer.textContent = message;
+        }
+    }
+    
+    /**
+     * Prepare an expression for reading aloud: exponents are read as powers
+     * of ten ("1.5e+21" is "1.5 times 10 to the power of 21"), and with
+     * speakOperators on, operators are replaced by words
+     * @param {string} expression - Expression text as displayed
+     * @returns {string} Text to announce
+     */
+    speakExpression(expression) {
+        const text = expression.replace(/(\d)e([+-]?)(\d+)/g, (match, digit, sign, exponent) =>
+            `${digit} times 10 to the power of ${sign === '-' ? 'minus ' : ''}${exponent}`);
+        if (!this.speakOperators) return text;
+        
+        return text
+            .replace(/[+\-*/^%!×÷−]/g, (operator) => ` ${this.SPOKEN_OPERATORS[operator]} `)
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+    
+    /**
+     * Show the programmer layout and readouts in programmer mode, and
+     * disable the keys the current base or mode cannot take
+     */
+    updateProgrammerControls() {
+        const engine = this.engine;
+        const programmer = engine.arithmeticMode === 'programmer';
+        
+        if (this.calculator) {
+            this.calculator.classList.toggle('programmer', programmer);
+        }
+        if (this.programmerToggleBtn) {
+            this.setPressed(this.programmerToggleBtn, programmer);
+        }
+        if (this.exactModeBtn) {
+            this.exactModeBtn.disabled = programmer;
+        }
+        if (this.fractionModeBtn) {
+            this.fractionModeBtn.disabled = programmer;
+        }
+        if (this.unitConvertBtn) {
+            this.unitConvertBtn.disabled = programmer;
+        }
+        
+        // Digits outside the base, and keys for fractions, cannot be typed
+        this.buttons.forEach((button) => {
+            const input = button.dataset.input;
+            if (/^[0-9A-F]$/.test(input)) {
+                button.disabled = !engine.isDigit(input);
+            } else if (engine.NON_INTEGER_INPUTS.includes(input)) {
+                button.disabled = programmer;
+            }
+        });
+        
+        if (!programmer) return;
+        
+        if (this.wordSizeBtn) {
+            this.wordSizeBtn.textContent = `${engine.wordSize}-BIT`;
+        }
+        if (this.signedBtn) {
+            this.signedBtn.textContent = engine.signed ? 'SIGNED' : 'UNSIGNED';
+        }
+        
+        const readouts = engine.getProgrammerReadouts();
+        this.readoutButtons.forEach((button) => {
+            const base = button.dataset.input;
+            let value = readouts ? readouts[base] : '';
+            
+            // Binary is grouped in nibbles so long words stay readable
+            if (base === 'bin') {
+                value = value.replace(/\B(?=(\d{4})+$)/g, ' ');
+            }
+            
+            button.querySelector('.readout-value').textContent = value;
+            this.setPressed(button, engine.RADIXES[base] === engine.radix);
+        });
+    }
+    
+    /**
+     * Render the expression one character per span, so clicks can be
+     * mapped to a caret position, with the caret element at its index
+     * @param {string} text - Text to show
+     * @param {number} caret - Caret index in text
+     * @param {boolean} editable - Whether text matches the expression
+     *     index for index (false for a formatted result)
+     */
+    renderExpression(text, caret, editable) {
+        const content = document.createElement('span');
+        content.className = 'display-text';
+        
+        for (let index = 0; index < text.length; index++) {
+            const char = document.createElement('span');
+            char.textContent = text[index];
+            if (editable) {
+                char.dataset.index = index;
+            }
+            content.append(char);
+        }
+        
+        const caretElement = document.createElement('span');
+        caretElement.className = 'caret';
+        content.insertBefore(caretElement, content.children[caret] || null);
+        
+        this.display.textContent = '';
+        this.display.append(content);
+        this.scrollIntoDisplay(caretElement);
+    }
+    
+    /**
+     * Show the expression with the part the error refers to highlighted,
+     * scrolled so the highlight is visible
+     * @param {string} expression - Expression that failed
+     * @param {CalculatorError} error - Error reported by the engine
+     */
+    renderErrorExpression(expression, error) {
+        const start = error.position === null ? expression.length : error.position;
+        const end = Math.min(start + error.length, expression.length);
+        
+        const content = document.createElement('span');
+        content.className = 'display-text';
+        
+        const highlight = document.createElement('mark');
+        highlight.className = 'error-highlight';
+        // An error at the end of the input (e.g. a missing operand) marks an empty slot
+        highlight.textContent = expression.slice(start, end) || ' ';
+        
+        content.append(expression.slice(0, start), highlight, expression.slice(end));
+        this.display.textContent = '';
+        this.display.append(content);
+        this.scrollIntoDisplay(highlight);
+    }
+    
+    /**
+     * Scroll the display horizontally just enough to show an element
+     * @param {Element} element - Element inside the display
+     */
+    scrollIntoDisplay(element) {
+        const box = this.display.getBoundingClientRect();
+        const target = element.getBoundingClientRect();
+        
+        if (target.left < box.left) {
+            this.display.scrollLeft -= box.left - target.left;
+        } else if (target.right > box.right) {
+            this.display.scrollLeft += target.right - box.right;
+        }
+    }
+    
+    /**
+     * Move the caret to the clicked character: before it when the left
+     * half was clicked, after it otherwise
+     * @param {MouseEvent} event - Click on the display
+     */
+    handleDisplayClick(event) {
+        const content = this.display.querySelector('.display-text');
+        if (!content) return;
+        
+        const char = event.target.closest('[data-index]');
+        let index;
+        
+        if (char) {
+            const rect = char.getBoundingClientRect();
+            index = Number(char.dataset.index) + (event.clientX > rect.left + rect.width / 2 ? 1 : 0);
+        } else {
+            // Clicks beside the text go to whichever end is nearer
+            index = event.clientX < content.getBoundingClientRect().left ? 0 : this.engine.currentExpression.length;
+        }
+        
+        this.engine.setCaret(index);
+        this.updateDisplay();
+    }
+    
+    /**
+     * Main input handler: view-only controls are handled here,
+     * everything else is passed to the engine
+     * @param {string} input - The input to handle
+     */
+    handleInput(input) {
+        switch(input) {
+            case "history":
+                this.toggleHistoryPanel();
+                break;
+                
+            case "history-clear":
+                this.engine.clearHistory();
+                break;
+                
+            case "memory":
+                this.toggleMemoryPanel();
+                break;
+                
+            case "memory-save":
+                this.saveMemoryFromForm();
+                break;
+                
+            case "variables":
+                this.toggleVariablesPanel();
+                break;
+                
+            case "variable-save":
+                this.saveVariableFromForm();
+                break;
+                
+            case "functions":
+                this.toggleFunctionsPanel();
+                break;
+                
+            case "function-save":
+                this.saveFunctionFromForm();
+                break;
+                
+            case "functions-export":
+                this.exportFunctionsFile();
+                break;
+                
+            case "functions-import":
+                if (this.functionsFileInput) {
+                    this.functionsFileInput.click();
+                }
+                break;
+                
+            case "units":
+                this.toggleUnitsPanel();
+                break;
+                
+            case "unit-convert":
+                this.convertFromForm();
+                break;
+                
+            case "display-settings":
+                this.toggleDisplaySettingsPanel();
+                break;
+                
+            case "scientific":
+                this.toggleScientificMode();
+                break;
+                
+            case "clear":
+                this.engine.handleInput(input);
+                this.emit('clear', {});
+                break;
+                
+            default:
+                this.engine.handleInput(input);
+                break;
+        }
+        
+        this.updateDisplay();
+    }
+    
+    /**
+     * Re-render and persist whatever the engine reports as changed, and
+     * report its results
+     * @param {string} kind - 'history', 'memory', 'variables', 'functions', 'settings' or 'evaluate'
+     * @param {Object} [detail] - For 'evaluate', the expression and its result
+     */
+    handleEngineChange(kind, detail) {
+        switch (kind) {
+            case 'history':
+                this.saveHistory();
+                this.renderHistory();
+                break;
+                
+            case 'memory':
+                this.saveMemory();
+                this.renderMemory();
+                break;
+                
+            case 'variables':
+                // Variables are part of the calculator state
+                if (this.isInitialized) {
+                    this.saveCalculatorState();
+                }
+                this.renderVariables();
+                break;
+                
+            case 'functions':
+                this.saveFunctions();
+                this.renderFunctions();
+                break;
+                
+            case 'settings':
+                // Number formatting depends on the arithmetic mode, locale and display settings
+                this.renderDisplaySettings();
+                this.renderHistory();
+                this.renderMemory();
+                this.renderVariables();
+                break;
+                
+            case 'evaluate':
+                this.reportEvaluation(detail);
+                break;
+        }
+    }
+    
+    /**
+     * Handle a click on a history entry
+     * @param {string} action - 'expression', 'result' or 'delete'
+     * @param {number} entryId - Id of the history entry
+     */
+    handleHistoryAction(action, entryId) {
+        if (action === 'delete') {
+            this.engine.removeHistoryEntry(entryId);
+        } else {
+            this.engine.recallHistoryEntry(entryId, action);
+        }
+        
+        this.updateDisplay();
+    }
+    
+    /**
+     * Show or hide the history panel
+     */
+    toggleHistoryPanel() {
+        if (!this.historyPanel) return;
+        
+        const isHidden = this.historyPanel.classList.toggle('hidden');
+        if (this.historyToggleBtn) {
+            this.setPressed(this.historyToggleBtn, !isHidden);
+        }
+    }
+    
+    /**
+     * Render the history tape into the panel
+     */
+    renderHistory() {
+        if (!this.historyList) return;
+        
+        this.historyList.textContent = '';
+        
+        this.engine.history.forEach((entry) => {
+            const item = document.createElement('li');
+            item.className = 'history-entry';
+            item.dataset.historyId = entry.id;
+            
+            const expression = document.createElement('button');
+            expression.className = 'history-expression';
+            expression.dataset.historyAction = 'expression';
+            expression.title = 'Use this expression';
+            expression.textContent = this.engine.localizeExpression(entry.expression);
+            
+            const result = document.createElement('button');
+            result.className = 'history-result';
+            result.dataset.historyAction = 'result';
+            result.title = 'Use this result';
+            result.textContent = '= ' + this.engine.formatNumber(entry.result);
+            
+            const remove = document.createElement('button');
+            remove.className = 'history-delete';
+            remove.dataset.historyAction = 'delete';
+            remove.title = 'Remove entry';
+            remove.setAttribute('aria-label', remove.title);
+            remove.textContent = '×';
+            
+            item.append(expression, result, remove);
+            this.historyList.appendChild(item);
+        });
+    }
+    
+    /**
+     * Save history
+     */
+    saveHistory() {
+        this.storage.write('History', {
+            limit: this.engine.MAX_HISTORY_ENTRIES,
+            entries: this.engine.history
+        });
+    }
+    
+    /**
+     * Load saved history. Entries that are not complete records (e.g. an
+     * edited or damaged save) are dropped, as they cannot be shown.
+     */
+    loadHistory() {
+        try {
+            const data = this.storage.read('History');
+            if (data) {
+                if (Number.isInteger(data.limit) && data.limit > 0) {
+                    this.engine.MAX_HISTORY_ENTRIES = data.limit;
+                }
+                const entries = Array.isArray(data.entries) ? data.entries : [];
+                this.engine.history = entries.filter((entry) => entry !== null && typeof entry === 'object' &&
+                    typeof entry.expression === 'string' && typeof entry.result === 'string' &&
+                    Number.isFinite(entry.id));
+                this.engine.trimHistory();
+            }
+        } catch (error) {
+            console.warn('Could not load history:', error);
+        }
+        
+        this.renderHistory();
+    }
+    
+    /**
+     * Handle a click in the named register list
+     * @param {string} action - 'recall', 'store' or 'delete'
+     * @param {string} name - Register name
+     */
+    handleNamedMemoryAction(action, name) {
+        switch (action) {
+            case 'recall':
+                this.engine.recallNamedMemory(name);
+                break;
+            case 'store':
+                this.engine.storeNamedMemory(name);
+                break;
+            case 'delete':
+                this.engine.clearNamedMemory(name);
+                break;
+        }
+        
+        this.updateDisplay();
+    }
+    
+    /**
+     * Store the current value under the name typed in the memory panel
+     */
+    saveMemoryFromForm() {
+        if (!this.memoryNameInput) return;
+        
+        try {
+            this.engine.storeNamedMemory(this.memoryNameInput.value);
+            this.memoryNameInput.value = '';
+            this.memoryNameInput.classList.remove('invalid');
+            this.memoryNameInput.title = '';
+        } catch (error) {
+            if (!(error instanceof CalculatorError)) throw error;
+            this.memoryNameInput.classList.add('invalid');
+            this.memoryNameInput.title = error.message;
+        }
+    }
+    
+    /**
+     * Show or hide the named memory panel
+     */
+    toggleMemoryPanel() {
+        if (!this.memoryPanel) return;
+        
+        const isHidden = this.memoryPanel.classList.toggle('hidden');
+        if (this.memoryToggleBtn) {
+            this.setPressed(this.memoryToggleBtn, !isHidden);
+        }
+    }
+    
+    /**
+     * Render the named registers into the memory panel
+     */
+    renderMemory() {
+        if (!this.memoryList) return;
+        
+        this.memoryList.textContent = '';
+        
+        const registers = this.engine.namedMemory;
+        
+        Object.keys(registers).sort().forEach((name) => {
+            const item = document.createElement('li');
+            item.className = 'memory-entry';
+            item.dataset.memoryName = name;
+            
+            const recall = document.createElement('button');
+            recall.className = 'memory-recall';
+            recall.dataset.memoryAction = 'recall';
+            recall.title = `Recall ${name}`;
+            recall.textContent = `${name} = ${this.engine.formatNumber(registers[name])}`;
+            
+            const store = document.createElement('button');
+            store.className = 'memory-store';
+            store.dataset.memoryAction = 'store';
+            store.title = `Store current value in ${name}`;
+            store.setAttribute('aria-label', store.title);
+            store.textContent = 'MS';
+            
+            const remove = document.createElement('button');
+            remove.className = 'memory-delete';
+            remove.dataset.memoryAction = 'delete';
+            remove.title = `Delete ${name}`;
+            remove.setAttribute('aria-label', remove.title);
+            remove.textContent = '×';
+            
+            item.append(recall, store, remove);
+            this.memoryList.appendChild(item);
+        });
+    }
+    
+    /**
+     * Save memory registers
+     */
+    saveMemory() {
+        this.storage.write('Memory', {
+            memory: this.engine.memory,
+            registers: this.engine.namedMemory
+        });
+    }
+    
+    /**
+     * Load saved memory registers
+     */
+    loadMemory() {
+        try {
+            const data = this.storage.read('Memory');
+            if (data) {
+                this.engine.memory = typeof data.memory === 'string' ? data.memory : null;
+                this.engine.namedMemory = {};
+                if (data.registers && typeof data.registers === 'object') {
+                    Object.keys(data.registers).forEach((name) => {
+                        if (this.engine.isValidVariableName(name) && typeof data.registers[name] === 'string') {
+                            this.engine.namedMemory[name] = data.registers[name];
+                        }
+                    });
+                }
+            }
+        } catch (error) {
+            console.warn('Could not load memory:', error);
+        }
+        
+        this.renderMemory();
+    }
+    
+    /**
+     * Handle a click in the variable list
+     * @param {string} action - 'insert', 'edit' or 'delete'
+     * @param {string} name - Variable name
+     */
+    handleVariableAction(action, name) {
+        switch (action) {
+            case 'insert':
+                this.engine.handleInput(name);
+                break;
+            case 'edit':
+                if (this.variableNameInput && this.variableValueInput) {
+                    this.variableNameInput.value = name;
+                    this.variableValueInput.value = this.engine.variables[name];
+                    this.variableValueInput.focus();
+                }
+                break;
+            case 'delete':
+                this.engine.deleteVariable(name);
+                break;
+        }
+        
+        this.updateDisplay();
     }
     
     /**
-     * Initialize the calculator
+     * Assign the value typed in the variables panel, or flag the
+     * form with the reason it was rejected
      */
-    init() {
-        if (this.isInitialized) return;
+    saveVariableFromForm() {
+        if (!this.variableNameInput || !this.variableValueInput) return;
         
         try {
-            this.setupEventListeners();
-            this.loadThemePreference();
-            this.updateDisplay();
-            this.isInitialized = true;
-            console.log('Calculator initialized successfully');
+            this.engine.assignVariable(this.variableNameInput.value, this.variableValueInput.value);
+            this.variableNameInput.value = '';
+            this.variableValueInput.value = '';
+            this.variableValueInput.classList.remove('invalid');
+            this.variableValueInput.title = '';
         } catch (error) {
-            console.error('Calculator initialization failed:', error);
+            if (!(error instanceof CalculatorError)) throw error;
+            this.variableValueInput.classList.add('invalid');
+            this.variableValueInput.title = error.message;
         }
     }
     
     /**
-     * Set up all event listeners
+     * Show or hide the variables panel
      */
-    setupEventListeners() {
-        // Button click events with error handling
-        if (this.buttons.length > 0) {
-            this.buttons.forEach((button) => {
-                button.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    this.handleInput(button.id);
-                });
-            });
+    toggleVariablesPanel() {
+        if (!this.variablesPanel) return;
+        
+        const isHidden = this.variablesPanel.classList.toggle('hidden');
+        if (this.variablesToggleBtn) {
+            this.setPressed(this.variablesToggleBtn, !isHidden);
         }
+    }
+    
+    /**
+     * Render the user variables into the variables panel
+     */
+    renderVariables() {
+        if (!this.variablesList) return;
         
-        // Keyboard events
-        document.addEventListener('keydown', (event) => {
-            this.handleKeyboard(event);
-        });
+        this.variablesList.textContent = '';
         
-        // Theme toggle (only if elements exist)
-        if (this.themeToggleBtn && this.calculator) {
-            this.themeToggleBtn.addEventListener('click', (e) => {
-                e.preventDefault();
-                this.toggleTheme();
-            });
-        }
-
-        // Window beforeunload to save state
-        window.addEventListener('beforeunload', () => {
-            this.saveCalculatorState();
+        const variables = this.engine.variables;
+        
+        Object.keys(variables).sort().forEach((name) => {
+            const item = document.createElement('li');
+            item.className = 'variable-entry';
+            item.dataset.variableName = name;
+            
+            const insert = document.createElement('button');
+            insert.className = 'variable-insert';
+            insert.dataset.variableAction = 'insert';
+            insert.title = `Insert ${name} into the expression`;
+            insert.textContent = `${name} = ${this.engine.formatNumber(variables[name])}`;
+            
+            const edit = document.createElement('button');
+            edit.className = 'variable-edit';
+            edit.dataset.variableAction = 'edit';
+            edit.title = `Edit ${name}`;
+            edit.textContent = 'EDIT';
+            
+            const remove = document.createElement('button');
+            remove.className = 'variable-delete';
+            remove.dataset.variableAction = 'delete';
+            remove.title = `Delete ${name}`;
+            remove.setAttribute('aria-label', remove.title);
+            remove.textContent = '×';
+            
+            item.append(insert, edit, remove);
+            this.variablesList.appendChild(item);
         });
     }
     
     /**
-     * Handle keyboard input with comprehensive key validation
-     * @param {KeyboardEvent} event - The keyboard event
+     * Handle a click in the function list
+     * @param {string} action - 'insert', 'edit' or 'delete'
+     * @param {string} name - Function name
      */
-    handleKeyboard(event) {
-        const key = event.key;
-        
-        // Prevent default for calculator keys to avoid browser shortcuts
-        if (this.isCalculatorKey(key)) {
-            event.preventDefault();
+    handleFunctionAction(action, name) {
+        switch (action) {
+            case 'insert':
+                this.engine.handleInput(name);
+                break;
+            case 'edit':
+                if (this.functionDefinitionInput) {
+                    this.functionDefinitionInput.value = this.engine.formatFunctionDefinition(this.engine.userFunctions[name]);
+                    this.functionDefinitionInput.focus();
+                }
+                break;
+            case 'delete':
+                try {
+                    this.engine.deleteFunction(name);
+                    this.setFunctionFormError();
+                } catch (error) {
+                    if (!(error instanceof CalculatorError)) throw error;
+                    this.setFunctionFormError(error.message);
+                }
+                break;
         }
         
-        // Route keyboard input to appropriate handler
-        if (this.isNumericKey(key) || this.isOperatorKey(key) || this.isSpecialCharKey(key)) {
-            this.handleInput(key);
-        } else if (key === 'Enter' || key === '=') {
-            this.handleInput('equal');
-        } else if (key === 'Backspace') {
-            this.handleInput('backspace');
-        } else if (key === 'Escape' || key === 'Delete') {
-            this.handleInput('clear');
-        } else if (key.toLowerCase() === 'c') {
-            this.handleInput('clear');
-        }
+        this.updateDisplay();
     }
     
     /**
-     * Check if key is a numeric key (0-9)
-     * @param {string} key - The key to check
-     * @returns {boolean} True if numeric key
+     * Show a problem with the function form, or clear it
+     * @param {string} [message] - Error message; omit to clear
      */
-    isNumericKey(key) {
-        return key >= '0' && key <= '9';
+    setFunctionFormError(message = '') {
+        if (!this.functionDefinitionInput) return;
+        
+        this.functionDefinitionInput.classList.toggle('invalid', Boolean(message));
+        this.functionDefinitionInput.title = message;
     }
     
     /**
-     * Check if key is an operator key
-     * @param {string} key - The key to check
-     * @returns {boolean} True if operator key
+     * Define the function typed in the functions panel
      */
-    isOperatorKey(key) {
-        return ['+', '-', '*', '/', '×', '÷'].includes(key);
+    saveFunctionFromForm() {
+        if (!this.functionDefinitionInput) return;
+        
+        try {
+            this.engine.defineFunction(this.functionDefinitionInput.value);
+            this.functionDefinitionInput.value = '';
+            this.setFunctionFormError();
+        } catch (error) {
+            if (!(error instanceof CalculatorError)) throw error;
+            this.setFunctionFormError(error.message);
+        }
     }
     
     /**
-     * Check if key is a special character key
-     * @param {string} key - The key to check
-     * @returns {boolean} True if special character key
+     * Download the user-defined functions as a JSON file
      */
-    isSpecialCharKey(key) {
-        return ['.', '(', ')'].includes(key);
+    exportFunctionsFile() {
+        const json = JSON.stringify(this.engine.exportFunctions(), null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'calculator-functions.json';
+        link.click();
+        URL.revokeObjectURL(url);
     }
     
     /**
-     * Check if key is a calculator-related key
-     * @param {string} key - The key to check
-     * @returns {boolean} True if calculator key
+     * Import functions from a JSON file chosen by the user
+     * @param {File} file - File from the functions file input
      */
-    isCalculatorKey(key) {
-        return this.isNumericKey(key) || this.isOperatorKey(key) || 
-               this.isSpecialCharKey(key) || 
-               ['Enter', '=', 'Backspace', 'Escape', 'Delete', 'c', 'C'].includes(key);
+    importFunctionsFile(file) {
+        if (!file) return;
+        
+        file.text().then((text) => {
+            try {
+                this.engine.importFunctions(text);
+                this.setFunctionFormError();
+            } catch (error) {
+                if (!(error instanceof CalculatorError)) throw error;
+                this.setFunctionFormError(`Import failed: ${error.message}`);
+            }
+        }).catch((error) => {
+            console.warn('Could not read function library:', error);
+        }).finally(() => {
+            // Allow choosing the same file again
+            this.functionsFileInput.value = '';
+        });
     }
     
     /**
-     * Update display with proper formatting and validation
+     * Show or hide the functions panel
      */
-    updateDisplay() {
-        if (!this.display) return;
-        
-        let displayText = this.currentExpression || "0";
+    toggleFunctionsPanel() {
+        if (!this.functionsPanel) return;
         
-        // Handle very long expressions
-        if (displayText.length > this.MAX_DISPLAY_LENGTH) {
-            displayText = '...' + displayText.slice(-(this.MAX_DISPLAY_LENGTH - 3));
+        const isHidden = this.functionsPanel.classList.toggle('hidden');
+        if (this.functionsToggleBtn) {
+            this.setPressed(this.functionsToggleBtn, !isHidden);
         }
+    }
+    
+    /**
+     * Render the user-defined functions into the functions panel
+     */
+    renderFunctions() {
+        if (!this.functionsList) return;
         
-        // Format numbers for better readability
-        if (this.isNumericResult(displayText)) {
-            displayText = this.formatNumber(displayText);
-        }
+        this.functionsList.textContent = '';
         
-        // Update display with error handling
+        const functions = this.engine.userFunctions;
+        
+        Object.keys(functions).sort().forEach((name) => {
+            const item = document.createElement('li');
+            item.className = 'function-entry';
+            item.dataset.functionName = name;
+            
+            const insert = document.createElement('button');
+            insert.className = 'function-insert';
+            insert.dataset.functionAction = 'insert';
+            insert.title = `Insert ${name}( into the expression`;
+            insert.textContent = this.engine.formatFunctionDefinition(functions[name]);
+            
+            const edit = document.createElement('button');
+            edit.className = 'function-edit';
+            edit.dataset.functionAction = 'edit';
+            edit.title = `Edit ${name}`;
+            edit.textContent = 'EDIT';
+            
+            const remove = document.createElement('button');
+            remove.className = 'function-delete';
+            remove.dataset.functionAction = 'delete';
+            remove.title = `Delete ${name}`;
+            remove.setAttribute('aria-label', remove.title);
+            remove.textContent = '×';
+            
+            item.append(insert, edit, remove);
+            this.functionsList.appendChild(item);
+        });
+    }
+    
+    /**
+     * Save user-defined functions
+     */
+    saveFunctions() {
+        this.storage.write('Functions', this.engine.exportFunctions());
+    }
+    
+    /**
+     * Load saved user-defined functions
+     */
+    loadFunctions() {
         try {
-            this.display.textContent = displayText;
+            const savedFunctions = this.storage.read('Functions');
+            if (savedFunctions) {
+                this.engine.importFunctions(savedFunctions, { replace: true });
+            }
         } catch (error) {
-            console.error('Display update failed:', error);
+            console.warn('Could not load functions:', error);
         }
+        
+        this.renderFunctions();
     }
     
     /**
-     * Check if the display shows a pure numeric result
-     * @param {string} text - Text to check
-     * @returns {boolean} True if numeric result
+     * Convert the input between the units chosen in the units panel
      */
-    isNumericResult(text) {
-        if (text === "Error" || text === "" || text === "0") return text === "0";
-        
-        // Parse as number and check validity
-        const num = parseFloat(text);
-        if (isNaN(num) || !isFinite(num)) return false;
+    convertFromForm() {
+        if (!this.unitFromSelect || !this.unitToSelect) return;
         
-        // Remove leading minus for validation
-        const cleanText = text.replace(/^-/, '');
-        
-        // Should not contain operators or parentheses after removing leading minus
-        return !/[+\-*/()]/.test(cleanText);
+        try {
+            this.engine.convertInput(this.unitFromSelect.value, this.unitToSelect.value);
+            this.unitToSelect.classList.remove('invalid');
+            this.unitToSelect.title = 'Convert to';
+        } catch (error) {
+            if (!(error instanceof CalculatorError)) throw error;
+            this.unitToSelect.classList.add('invalid');
+            this.unitToSelect.title = error.message;
+        }
     }
     
     /**
-     * Format numbers for optimal display
-     * @param {string} numStr - Number string to format
-     * @returns {string} Formatted number string
+     * Show or hide the units panel
      */
-    formatNumber(numStr) {
-        const num = parseFloat(numStr);
+    toggleUnitsPanel() {
+        if (!this.unitsPanel) return;
         
-        if (isNaN(num) || !isFinite(num)) return "Error";
-        
-        // Handle very large or very small numbers
-        if (Math.abs(num) >= this.SCIENTIFIC_NOTATION_THRESHOLD || 
-            (Math.abs(num) < 1e-6 && num !== 0)) {
-            return num.toExponential(6);
+        const isHidden = this.unitsPanel.classList.toggle('hidden');
+        if (this.unitsToggleBtn) {
+            this.setPressed(this.unitsToggleBtn, !isHidden);
         }
+    }
+    
+    /**
+     * Show or hide the display settings panel
+     */
+    toggleDisplaySettingsPanel() {
+        if (!this.displaySettingsPanel) return;
         
-        // Handle decimal places
-        if (num % 1 !== 0) {
-            return parseFloat(num.toFixed(this.MAX_DECIMAL_PLACES)).toString();
+        const isHidden = this.displaySettingsPanel.classList.toggle('hidden');
+        if (this.displaySettingsToggleBtn) {
+            this.setPressed(this.displaySettingsToggleBtn, !isHidden);
         }
-        
-        return num.toString();
     }
     
     /**
-     * Check if character is a mathematical operator
-     * @param {string} char - Character to check
-     * @returns {boolean} True if operator
+     * Show the engine's display settings in the panel, disabling the
+     * fields the chosen notation does not use
      */
-    isOperator(char) {
-        return ["+", "-", "*", "/", "×", "÷"].includes(char);
+    renderDisplaySettings() {
+        if (!this.displaySettingsPanel) return;
+        
+        const { notation, decimals, significantDigits, scientificThreshold } = this.engine.displayOptions;
+        this.displayNotationSelect.value = notation;
+        this.displayDecimalsInput.value = decimals;
+        this.displaySignificantInput.value = significantDigits;
+        this.displayThresholdInput.value = Math.round(Math.log10(scientificThreshold));
+        
+        this.displayDecimalsInput.disabled = !['auto', 'fixed'].includes(notation);
+        this.displayThresholdInput.disabled = ['scientific', 'engineering'].includes(notation);
+        
+        if (this.speakOperatorsInput) {
+            this.speakOperatorsInput.checked = this.speakOperators;
+        }
     }
     
     /**
-     * Validate if a decimal point can be added to current number
-     * @returns {boolean} True if decimal can be added
+     * Apply the display settings panel. Invalid fields are put back to
+     * the current settings.
      */
-    canAddDecimal() {
-        // Split expression by operators and parentheses to get current number
-        const parts = this.currentExpression.split(/[+\-*/()]/);
-        const lastPart = parts[parts.length - 1];
+    applyDisplaySettings() {
+        const exponent = parseInt(this.displayThresholdInput.value, 10);
         
-        // Check if current number already has a decimal point
-        return !lastPart.includes('.');
+        this.engine.setDisplayOptions({
+            notation: this.displayNotationSelect.value,
+            decimals: this.displayDecimalsInput.value,
+            significantDigits: this.displaySignificantInput.value,
+            scientificThreshold: exponent >= 1 ? Math.pow(10, exponent) : null
+        });
+        this.renderDisplaySettings();
+        this.updateDisplay();
     }
     
     /**
-     * Comprehensive expression validation
-     * @param {string} expression - Expression to validate
-     * @returns {boolean} True if expression is valid
+     * Fill the number format list: the browser locale, then the offered
+     * locales, each with a sample number
      */
-    isValidExpression(expression) {
-        if (!expression || expression === "") return false;
+    renderLocales() {
+        if (!this.localeSelect) return;
         
-        // Check for valid characters only
-        if (!/^[0-9+\-*/().\s]+$/.test(expression)) return false;
+        const sample = (locale) => new Intl.NumberFormat(locale).format(1234.5);
+        const locales = this.LOCALES.slice();
+        if (this.engine.locale && !locales.includes(this.engine.locale)) {
+            locales.push(this.engine.locale);
+        }
         
-        // Check for invalid operator sequences
-        if (/[+*/]{2,}/.test(expression) || /-{2,}/.test(expression)) return false;
+        this.localeSelect.textContent = '';
+        [''].concat(locales).forEach((locale) => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.textContent = locale ? `${locale} ${sample(locale)}` : `AUTO ${sample(undefined)}`;
+            this.localeSelect.append(option);
+        });
         
-        // Check if expression starts with invalid operator
-        if (/^[+*/]/.test(expression)) return false;
+        this.localeSelect.value = this.engine.locale || '';
+    }
+    
+    /**
+     * Fill the quantity list of the units panel from the engine's unit table
+     */
+    renderUnits() {
+        if (!this.unitDimensionSelect) return;
         
-        // Check if expression ends with operator
-        if (/[+\-*/]$/.test(expression)) return false;
+        this.unitDimensionSelect.textContent = '';
+        this.engine.evaluator.units.getDimensions().forEach((dimension) => {
+            const option = document.createElement('option');
+            option.value = dimension;
+            option.textContent = dimension.charAt(0).toUpperCase() + dimension.slice(1);
+            this.unitDimensionSelect.append(option);
+        });
         
-        // Validate parentheses balance and structure
-        if (!this.validateParentheses(expression)) return false;
+        this.renderUnitOptions();
+    }
+    
+    /**
+     * Fill the from and to lists with the units of the chosen quantity,
+     * preselecting its first two units
+     */
+    renderUnitOptions() {
+        if (!this.unitDimensionSelect || !this.unitFromSelect || !this.unitToSelect) return;
         
-        // Check for invalid decimal usage
-        if (/\.{2,}/.test(expression)) return false;
+        const units = this.engine.evaluator.units.getUnits(this.unitDimensionSelect.value);
         
-        // Check for invalid number formats
-        if (/\d+\.\d*\./.test(expression)) return false;
+        [this.unitFromSelect, this.unitToSelect].forEach((select, index) => {
+            select.textContent = '';
+            units.forEach((name) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = name;
+                select.append(option);
+            });
+            select.selectedIndex = Math.min(index, units.length - 1);
+        });
         
-        return true;
+        this.unitToSelect.classList.remove('invalid');
     }
     
     /**
-     * Validate parentheses in expression
-     * @param {string} expression - Expression to validate
-     * @returns {boolean} True if parentheses are valid
+     * Show or hide the scientific button layout
      */
-    validateParentheses(expression) {
-        let parenCount = 0;
-        let lastChar = '';
+    toggleScientificMode() {
+        this.isScientific = !this.isScientific;
         
-        for (let char of expression) {
-            if (char === '(') {
-                parenCount++;
-                // Check for invalid combinations like ")(" or "+("
-                if (lastChar === ')' || (this.isOperator(lastChar) && lastChar !== '' && lastChar !== '-')) {
-                    // Allow operators before opening parenthesis
-                }
-            }
-            
-            if (char === ')') {
-                parenCount--;
-                if (parenCount < 0) return false;
-                // Cannot close parenthesis immediately after opening
-                if (lastChar === '(') return false;
-            }
-            
-            lastChar = char;
+        if (this.calculator) {
+            this.calculator.classList.toggle('scientific', this.isScientific);
         }
-        
-        // Must have balanced parentheses
-        return parenCount === 0;
     }
     
     /**
-     * Safely evaluate mathematical expressions using Function constructor
-     * @param {string} expression - Mathematical expression to evaluate
-     * @returns {number|string} Result of evaluation or "Error"
+     * Register the themes given when mounting. A theme that fails is
+     * reported and left out.
      */
-    safeEvaluate(expression) {
-        try {
-            // Sanitize expression
-            expression = expression.replace(/\s/g, '');
-            expression = expression.replace(/×/g, '*');
-            expression = expression.replace(/÷/g, '/');
-            
-            // Validate expression before evaluation
-            if (!this.isValidExpression(expression)) {
-                return "Error";
-            }
-            
-            // Use Function constructor for safer evaluation than eval()
-            const result = Function(`"use strict"; return (${expression})`)();
-            
-            // Handle mathematical errors and edge cases
-            if (!isFinite(result)) return "Error";
-            if (typeof result !== 'number') return "Error";
-            
-            // Handle very small numbers (essentially zero)
-            if (Math.abs(result) < this.MINIMUM_VALUE_THRESHOLD) {
-                return 0;
+    installThemes() {
+        (this.options.themes || []).forEach((theme) => {
+            try {
+                this.registerTheme(theme);
+            } catch (error) {
+                if (!(error instanceof CalculatorError)) throw error;
+                console.error(`Theme ${theme && theme.name} not registered:`, error.message);
             }
-            
-            return result;
-            
-        } catch (error) {
-            console.log('Expression evaluation error:', error.message);
-            return "Error";
-        }
+        });
+        
+        this.renderThemes();
     }
     
     /**
-     * Main input handler with comprehensive logic
-     * @param {string} input - The input to handle
+     * Register a theme, or replace the one of the same name. Custom
+     * properties the theme leaves out keep their light theme values.
+     * @param {Object} theme - Theme definition
+     * @param {string} theme.name - Name for setTheme(), e.g. 'brand'
+     * @param {string} [theme.label] - Name shown in the theme picker
+     * @param {string} [theme.scheme='light'] - 'light' or 'dark'; dark themes also get the dark class
+     * @param {Object<string, string>} theme.properties - Values by custom property,
+     *     e.g. { '--calc-background': '#102030' }
+     * @returns {Calculator} This calculator, so calls can be chained
+     * @throws {CalculatorError} If the theme is invalid
      */
-    handleInput(input) {
-        const lastChar = this.currentExpression.slice(-1);
+    registerTheme(theme) {
+        this.checkTheme(theme);
         
-        // Handle different input types
-        switch(input) {
-            case "clear":
-                this.clearCalculator();
-                break;
-                
-            case "backspace":
-                this.handleBackspace();
-                break;
-                
-            case "equal":
-                this.calculateResult();
-                break;
-                
-            case ".":
-                this.handleDecimalInput(lastChar);
-                break;
-                
-            default:
-                if (this.isNumericKey(input)) {
-                    this.handleNumberInput(input, lastChar);
-                } else if (this.isOperator(input) || this.isOperatorKey(input)) {
-                    this.handleOperatorInput(input, lastChar);
-                } else if (input === "(" || input === ")") {
-                    this.handleParenthesesInput(input, lastChar);
-                }
-                break;
-        }
+        this.themes[theme.name] = {
+            label: theme.label || theme.name,
+            scheme: theme.scheme || 'light',
+            properties: { ...theme.properties }
+        };
+        this.renderThemes();
         
-        this.updateDisplay();
+        if (this.isInitialized && this.appliedTheme === theme.name) {
+            this.applyTheme();
+        }
+        return this;
     }
     
     /**
-     * Clear calculator state
+     * Check a theme definition before registering it
+     * @param {Object} theme - Theme definition, see registerTheme()
+     * @throws {CalculatorError} If the theme is invalid
      */
-    clearCalculator() {
-        this.currentExpression = "";
-        this.lastResult = null;
+    checkTheme(theme) {
+        const fail = (message) => {
+            throw new CalculatorError(message, 'invalid-theme');
+        };
+        
+        if (!theme || typeof theme.name !== 'string' || !/^[a-z][\w-]*$/i.test(theme.name) || theme.name === 'auto') {
+            fail('A theme needs a name of letters, digits, - and _');
+        }
+        if (theme.label !== undefined && typeof theme.label !== 'string') {
+            fail(`Theme ${theme.name} has an invalid label`);
+        }
+        if (theme.scheme !== undefined && theme.scheme !== 'light' && theme.scheme !== 'dark') {
+            fail(`Theme ${theme.name} must be light or dark`);
+        }
+        
+        const properties = theme.properties;
+        if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+            fail(`Theme ${theme.name} needs its custom properties`);
+        }
+        Object.keys(properties).forEach((property) => {
+            if (!/^--calc-[\w-]+$/.test(property) || typeof properties[property] !== 'string') {
+                fail(`Theme ${theme.name} has an invalid property ${property}`);
+            }
+        });
     }
     
     /**
-     * Handle backspace input
+     * Register themes from JSON, all of them or none
+     * @param {string|Object} data - JSON text or parsed value: { "themes": [theme, ...] }
+     * @returns {Array<string>} Names of the registered themes
+     * @throws {CalculatorError} If the data or one of its themes is invalid
      */
-    handleBackspace() {
-        this.currentExpression = this.currentExpression.slice(0, -1);
-        if (this.lastResult !== null && this.currentExpression === this.lastResult.toString().slice(0, -1)) {
-            this.lastResult = null;
+    importThemes(data) {
+        let parsed = data;
+        if (typeof data === 'string') {
+            try {
+                parsed = JSON.parse(data);
+            } catch (error) {
+                throw new CalculatorError('Theme file is not valid JSON', 'invalid-import');
+            }
+        }
+        
+        if (!parsed || !Array.isArray(parsed.themes)) {
+            throw new CalculatorError('Theme file must have a "themes" list', 'invalid-import');
         }
+        
+        parsed.themes.forEach((theme) => this.checkTheme(theme));
+        parsed.themes.forEach((theme) => this.registerTheme(theme));
+        return parsed.themes.map((theme) => theme.name);
     }
     
     /**
-     * Calculate and display result
+     * Get every theme, in the form registerTheme() and importThemes() take
+     * @returns {Array<Object>} Themes as { name, label, scheme, properties }
      */
-    calculateResult() {
-        if (!this.currentExpression) return;
-        
-        const result = this.safeEvaluate(this.currentExpression);
-        
-        if (result !== "Error") {
-            this.lastResult = result;
-            this.currentExpression = result.toString();
-        } else {
-            this.currentExpression = "";
-            this.lastResult = null;
-        }
+    getThemes() {
+        return Object.keys(this.themes).map((name) => ({
+            name,
+            label: this.themes[name].label,
+            scheme: this.themes[name].scheme,
+            properties: { ...this.themes[name].properties }
+        }));
     }
     
     /**
-     * Handle decimal point input
-     * @param {string} lastChar - Last character in expression
+     * Switch theme and remember the choice
+     * @param {string} name - 'auto' to follow the system, or a theme name
+     * @returns {boolean} True if the theme exists
      */
-    handleDecimalInput(lastChar) {
-        if (!this.canAddDecimal()) return;
-        
-        // Add decimal point logic
-        if (this.currentExpression === "" || this.isOperator(lastChar) || lastChar === "(") {
-            this.currentExpression += "0.";
-        } else if (lastChar !== "." && !this.isOperator(lastChar) && lastChar !== "(") {
-            this.currentExpression += ".";
+    setTheme(name) {
+        if (!this.hasTheme(name)) {
+            console.warn(`Unknown theme: ${name}`);
+            return false;
         }
+        
+        this.themeSetting = name;
+        this.applyTheme();
+        this.saveThemePreference();
+        return true;
     }
     
     /**
-     * Handle number input
-     * @param {string} input - Number input
-     * @param {string} lastChar - Last character in expression
+     * Check whether a theme setting can be used
+     * @param {string} name - 'auto' or a theme name
+     * @returns {boolean} True if it is 'auto' or a registered theme
      */
-    handleNumberInput(input, lastChar) {
-        // If last result was displayed, start fresh unless continuing with decimal
-        if (this.lastResult !== null && !this.isOperator(lastChar) && lastChar !== ".") {
-            this.currentExpression = input;
-            this.lastResult = null;
-        } else {
-            this.currentExpression += input;
-        }
+    hasTheme(name) {
+        return name === 'auto' || Object.prototype.hasOwnProperty.call(this.themes, name);
     }
     
     /**
-     * Handle operator input
-     * @param {string} input - Operator input
-     * @param {string} lastChar - Last character in expression
+     * Put the theme setting into effect: set the theme's custom
+     * properties on the calculator, replacing the previous theme's
      */
-    handleOperatorInput(input, lastChar) {
-        // Normalize operator symbols
-        const normalizedInput = input.replace('×', '*').replace('÷', '/');
+    applyTheme() {
+        const prefersDark = Boolean(this.colorSchemeQuery && this.colorSchemeQuery.matches);
+        const name = this.themeSetting === 'auto' ? (prefersDark ? 'dark' : 'light') : this.themeSetting;
+        const theme = this.themes[name];
         
-        // Don't start with operator (except minus for negative numbers)
-        if (this.currentExpression === "" && normalizedInput !== "-") {
-            return;
+        if (this.calculator) {
+            const style = this.calculator.style;
+            Array.from(style)
+                .filter((property) => property.startsWith('--calc-'))
+                .forEach((property) => style.removeProperty(property));
+            Object.keys(theme.properties).forEach((property) => {
+                style.setProperty(property, theme.properties[property]);
+            });
+            this.calculator.classList.toggle('dark', theme.scheme === 'dark');
         }
         
-        // Handle consecutive operators
-        if (this.isOperator(lastChar)) {
-            this.currentExpression = this.currentExpression.slice(0, -1) + normalizedInput;
-        } else if (lastChar !== "") {
-            this.currentExpression += normalizedInput;
-            this.lastResult = null;
+        this.appliedTheme = name;
+        this.isDark = theme.scheme === 'dark';
+        if (this.themeSelect) {
+            this.themeSelect.value = this.themeSetting;
         }
+        
+        this.emit('themechange', { theme: this.themeSetting, applied: name, scheme: theme.scheme });
     }
     
     /**
-     * Handle parentheses input
-     * @param {string} input - Parenthesis input
-     * @param {string} lastChar - Last character in expression
+     * Fill the theme picker: auto, then every registered theme
      */
-    handleParenthesesInput(input, lastChar) {
-        if (input === "(") {
-            // Add multiplication before ( if needed
-            if (lastChar && !this.isOperator(lastChar) && lastChar !== "(") {
-                this.currentExpression += "*";
-            }
-            this.currentExpression += "(";
-        } else if (input === ")") {
-            // Only add ) if there are unmatched (
-            const openParens = (this.currentExpression.match(/\(/g) || []).length;
-            const closeParens = (this.currentExpression.match(/\)/g) || []).length;
-            
-            if (openParens > closeParens && lastChar !== "(" && !this.isOperator(lastChar)) {
-                this.currentExpression += ")";
-            }
-        }
+    renderThemes() {
+        if (!this.themeSelect) return;
+        
+        this.themeSelect.textContent = '';
+        ['auto'].concat(Object.keys(this.themes)).forEach((name) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name === 'auto' ? 'AUTO' : this.themes[name].label;
+            this.themeSelect.append(option);
+        });
         
-        this.lastResult = null;
+        this.themeSelect.value = this.themeSetting;
     }
     
     /**
-     * Toggle between light and dark themes
+     * Save theme preference
      */
-    toggleTheme() {
-        if (this.calculator) {
-            this.calculator.classList.toggle("dark");
+    saveThemePreference() {
+        this.storage.write('Theme', this.themeSetting);
+    }
+    
+    /**
+     * Load the saved theme preference, falling back to the theme given
+     * when mounting
+     */
+    loadThemePreference() {
+        let setting = this.options.theme || 'dark';
+        if (!this.hasTheme(setting)) {
+            console.warn(`Unknown theme: ${setting}`);
+            setting = 'dark';
         }
         
-        if (this.themeToggleBtn) {
-            this.themeToggleBtn.classList.toggle("active");
+        const savedTheme = this.storage.read('Theme');
+        if (typeof savedTheme === 'string' && this.hasTheme(savedTheme)) {
+            setting = savedTheme;
         }
         
-        this.isDark = !this.isDark;
-        
-        // Save theme preference
-        this.saveThemePreference();
+        this.themeSetting = setting;
+        this.applyTheme();
     }
     
     /**
-     * Save theme preference to localStorage
+     * Save the user's key bindings
      */
-    saveThemePreference() {
-        try {
-            localStorage.setItem('calculatorTheme', this.isDark ? 'dark' : 'light');
-        } catch (error) {
-            console.warn('Could not save theme preference:', error);
-        }
+    saveKeymap() {
+        this.storage.write('Keymap', this.customKeymap);
     }
     
     /**
-     * Load theme preference from localStorage
+     * Load the user's saved key bindings
      */
-    loadThemePreference() {
+    loadKeymap() {
+        this.customKeymap = {};
         try {
-            const savedTheme = localStorage.getItem('calculatorTheme');
-            if (savedTheme === 'light' && this.isDark) {
-                this.toggleTheme();
+            const keymap = this.storage.read('Keymap');
+            if (keymap) {
+                Object.keys(keymap).forEach((input) => {
+                    if (Array.isArray(keymap[input])) {
+                        this.customKeymap[input] = keymap[input].filter((chord) => typeof chord === 'string');
+                    }
+                });
             }
         } catch (error) {
-            console.warn('Could not load theme preference:', error);
+            console.warn('Could not load key bindings:', error);
         }
+        
+        this.buildKeyBindings();
     }
     
     /**
-     * Save calculator state
+     * Save calculator state; it is written once changes settle
      */
     saveCalculatorState() {
-        try {
-            const state = {
-                currentExpression: this.currentExpression,
-                lastResult: this.lastResult,
-                isDark: this.isDark
-            };
-            localStorage.setItem('calculatorState', JSON.stringify(state));
-        } catch (error) {
-            console.warn('Could not save calculator state:', error);
-        }
+        if (this.isRestoring) return;
+        
+        this.storage.write('State', {
+            ...this.engine.exportState(),
+            isScientific: this.isScientific,
+            speakOperators: this.speakOperators
+        });
+    }
+    
+    /**
+     * Save the calculator state and write all pending changes now
+     */
+    saveNow() {
+        this.saveCalculatorState();
+        this.storage.flush();
     }
     
     /**
@@ -596,74 +2904,141 @@ class Calculator {
      */
     loadCalculatorState() {
         try {
-            const savedState = localStorage.getItem('calculatorState');
-            if (savedState) {
-                const state = JSON.parse(savedState);
-                this.currentExpression = state.currentExpression || "";
-                this.lastResult = state.lastResult || null;
+            const state = this.storage.read('State');
+            if (state) {
+                this.engine.importState(state);
                 // Theme is handled separately
+                
+                if (Boolean(state.isScientific) !== this.isScientific) {
+                    this.toggleScientificMode();
+                }
+                
+                if (typeof state.speakOperators === 'boolean' && this.options.speakOperators === undefined) {
+                    this.speakOperators = state.speakOperators;
+                }
+                
+                this.updateDisplay();
             }
         } catch (error) {
             console.warn('Could not load calculator state:', error);
         }
     }
     
+    /**
+     * Evaluate an expression without touching the display or history. A
+     * result is reported as an 'evaluate' event.
+     * @param {string} expression - Expression in calculator syntax, e.g. "2*sin(30)"
+     * @returns {string|CalculatorError} The result, or the error describing why it failed
+     */
+    evaluate(expression) {
+        let result;
+        try {
+            result = this.engine.evaluateExpression(String(expression)).toString();
+        } catch (error) {
+            if (!(error instanceof CalculatorError)) throw error;
+            return error;
+        }
+        
+        this.emit('evaluate', { expression: String(expression), result, formatted: this.engine.formatNumber(result) });
+        return result;
+    }
+    
+    /**
+     * Get the expression being edited
+     * @returns {string} Current expression, or the last result after '='
+     */
+    getExpression() {
+        return this.engine.currentExpression;
+    }
+    
+    /**
+     * Replace the expression being edited; it can be undone like typing
+     * @param {string} expression - New expression in calculator syntax
+     */
+    setExpression(expression) {
+        this.engine.setExpression(expression);
+        this.updateDisplay();
+    }
+    
+    /**
+     * Clear the calculator, as the C key does
+     */
+    clear() {
+        this.handleInput('clear');
+    }
+    
     /**
      * Get current calculator state for debugging
      * @returns {Object} Current calculator state
      */
     getState() {
         return {
-            currentExpression: this.currentExpression,
-            lastResult: this.lastResult,
+            ...this.engine.getState(),
             isDark: this.isDark,
+            theme: this.themeSetting,
+            isScientific: this.isScientific,
+            speakOperators: this.speakOperators,
             isInitialized: this.isInitialized
         };
     }
 }
 
 /**
- * Initialize calculator with proper error handling and fallbacks
+ * Mount a calculator into every [data-calculator] element that does not
+ * have one yet. Options come from data attributes:
+ * data-storage-namespace, data-autofocus, data-theme and data-persist-undo.
+ * Without data-storage-namespace each gets its own (see defaultNamespace()).
+ * @returns {Array<Calculator>} Newly mounted calculators
  */
 function initializeCalculator() {
-    try {
-        const calc = new Calculator();
+    const mounted = [];
+    
+    document.querySelectorAll('[data-calculator]').forEach((container) => {
+        if (container.calculatorInstance) return;
         
-        // Load saved state if initialization was successful
-        if (calc.isInitialized) {
-            calc.loadCalculatorState();
+        try {
+            mounted.push(Calculator.mount(container, {
+                storageNamespace: container.dataset.storageNamespace,
+                autofocus: container.dataset.autofocus !== undefined,
+                theme: container.dataset.theme,
+                engine: { persistUndo: container.dataset.persistUndo !== undefined }
+            }));
+        } catch (error) {
+            console.error('Failed to initialize calculator:', error);
         }
-        
-        return calc;
-    } catch (error) {
-        console.error('Failed to initialize calculator:', error);
-        return null;
-    }
-}
-
-// DOM ready initialization with multiple fallbacks
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initializeCalculator);
-} else {
-    // DOM already loaded
-    initializeCalculator();
+    });
+    
+    return mounted;
 }
 
-// Additional fallback for older browsers
-window.addEventListener('load', () => {
-    if (!Calculator.instance) {
+// DOM ready initialization with multiple fallbacks; in Node (tests)
+// there is no page to mount into
+if (typeof document !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initializeCalculator);
+    } else {
+        // DOM already loaded
         initializeCalculator();
     }
-});
+    
+    // Additional fallback for older browsers; already mounted containers are skipped
+    window.addEventListener('load', () => {
+        initializeCalculator();
+    });
+}
 
 // Export for module usage (if needed)
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = Calculator;
+    module.exports.CalculatorStorage = CalculatorStorage;
+    module.exports.MemoryStorage = MemoryStorage;
 }
 
 // Global access for debugging (development only)
 if (typeof window !== 'undefined') {
     window.Calculator = Calculator;
+    window.CalculatorStorage = CalculatorStorage;
+    window.MemoryStorage = MemoryStorage;
 }
 
 // ======================================================================================================
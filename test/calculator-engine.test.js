@@ -0,0 +1,555 @@
+/*
+ * Unit tests for the headless calculator engine (calculator-engine.js).
+ * They run in Node with its built-in test runner and no dependencies:
+ *
+ *   npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    CalculatorEngine,
+    CalculatorError,
+    ExpressionSyntaxError,
+    UnbalancedParenthesesError,
+    DivisionByZeroError,
+    OverflowError,
+    MathDomainError,
+    UnitError
+} = require('../calculator-engine.js');
+
+/**
+ * Create an engine and feed it inputs, as button presses would
+ * @param {Array<string>} inputs - Engine inputs, e.g. ['1', '+', '2', 'equal']
+ * @param {Object} [options] - CalculatorEngine options
+ * @returns {CalculatorEngine} The engine after the inputs
+ */
+function press(inputs, options) {
+    const engine = new CalculatorEngine(options);
+    inputs.forEach((input) => engine.handleInput(input));
+    return engine;
+}
+
+/**
+ * Evaluate an expression to a string
+ * @param {CalculatorEngine} engine - Engine to evaluate with
+ * @param {string} expression - Expression to evaluate
+ * @returns {string} The result as a string
+ */
+function evaluate(engine, expression) {
+    return engine.evaluateExpression(expression).toString();
+}
+
+/**
+ * Check that evaluating an expression fails with the given error
+ * @param {string} expression - Expression to evaluate
+ * @param {Function} type - Expected error class
+ * @param {Object} expected - Expected code, position and length
+ * @param {CalculatorEngine} [engine] - Engine to evaluate with
+ */
+function assertFails(expression, type, expected, engine = new CalculatorEngine()) {
+    assert.throws(() => engine.evaluateExpression(expression), (error) => {
+        assert.ok(error instanceof type, `expected ${type.name}, got ${error.constructor.name}`);
+        assert.ok(error instanceof CalculatorError);
+        Object.keys(expected).forEach((key) => assert.equal(error[key], expected[key], key));
+        return true;
+    });
+}
+
+describe('parse errors', () => {
+    it('reports an unexpected operator where it stands', () => {
+        assertFails('2+*3', ExpressionSyntaxError, { code: 'syntax', position: 2, length: 1 });
+    });
+
+    it('reports unbalanced parentheses', () => {
+        assertFails('(1+2', UnbalancedParenthesesError, { code: 'unbalanced-parentheses', position: 0 });
+        assertFails('1+2)', UnbalancedParenthesesError, { code: 'unbalanced-parentheses', position: 3 });
+    });
+
+    it('reports an empty expression and a trailing operator', () => {
+        assertFails('', ExpressionSyntaxError, { position: 0 });
+        assertFails('1+', ExpressionSyntaxError, { position: 2 });
+    });
+
+    it('marks unknown names and functions with their length', () => {
+        assertFails('2 + bar', ExpressionSyntaxError, { position: 4, length: 3 });
+        assertFails('foo(2)', ExpressionSyntaxError, { position: 0, length: 3 });
+    });
+
+    it('rejects deeply nested input as a syntax error', () => {
+        const nested = '('.repeat(5000) + '1' + ')'.repeat(5000);
+        assertFails(nested, ExpressionSyntaxError, { code: 'nesting', position: 100 });
+        assertFails('-'.repeat(5000) + '1', ExpressionSyntaxError, { code: 'nesting' });
+        assertFails('sqrt('.repeat(1000) + '4' + ')'.repeat(1000), ExpressionSyntaxError, { code: 'nesting' });
+    });
+
+    it('still parses nesting within the limit', () => {
+        const engine = new CalculatorEngine();
+        assert.equal(evaluate(engine, '('.repeat(99) + '2' + ')'.repeat(99)), '2');
+    });
+
+    it('reports a chain too long to evaluate as a calculator error', () => {
+        assertFails(Array(30000).fill('1').join('+'), CalculatorError, { code: 'too-long' });
+    });
+});
+
+describe('evaluation errors', () => {
+    it('locates a division by zero at its operator', () => {
+        assertFails('1/0', DivisionByZeroError, { code: 'division-by-zero', position: 1 });
+        assertFails('2*(3/0)', DivisionByZeroError, { position: 4 });
+    });
+
+    it('locates a domain error at the function', () => {
+        assertFails('sqrt(-4)', MathDomainError, { code: 'domain', position: 0, length: 4 });
+    });
+
+    it('reports overflow', () => {
+        assertFails('10^400', OverflowError, { code: 'overflow', position: 2 });
+    });
+
+    it('reports conversions between different quantities', () => {
+        assertFails('2 km to kg', UnitError, { code: 'unit', position: 8, length: 2 });
+    });
+});
+
+describe('floating-point arithmetic', () => {
+    const engine = new CalculatorEngine();
+
+    it('follows operator precedence', () => {
+        assert.equal(evaluate(engine, '2+3*4'), '14');
+        assert.equal(evaluate(engine, '2^3^2'), '512');
+        assert.equal(evaluate(engine, '-2^2'), '-4');
+        assert.equal(evaluate(engine, '3!'), '6');
+    });
+
+    it('takes a percentage of the left operand', () => {
+        assert.equal(evaluate(engine, '50+10%'), '55');
+    });
+
+    it('reads numbers with an exponent', () => {
+        assert.equal(evaluate(engine, '1e3'), '1000');
+        assert.equal(evaluate(engine, '2.5E-3*2'), '0.005');
+        assert.equal(evaluate(engine, 'e'), String(Math.E));
+    });
+
+    it('continues from a result written with an exponent', () => {
+        const digits = '99999999999*99999999999'.split('');
+        const engine = press(digits.concat(['equal']));
+        assert.equal(engine.currentExpression, '9.9999999998e+21');
+        ['+', '1', 'equal'].forEach((input) => engine.handleInput(input));
+        assert.equal(engine.lastError, null);
+        assert.equal(engine.currentExpression, '9.9999999998e+21');
+    });
+
+    it('reads mixed numbers', () => {
+        assert.equal(evaluate(engine, '1 1/2 + 1'), '2.5');
+    });
+});
+
+describe('exact decimal rounding', () => {
+    /**
+     * @param {string} rounding - Rounding mode
+     * @param {string} expression - Expression to evaluate
+     * @returns {string} Result with two significant digits
+     */
+    const rounded = (rounding, expression) => {
+        const engine = new CalculatorEngine();
+        engine.setArithmeticMode('decimal', { precision: 2, rounding });
+        return evaluate(engine, expression);
+    };
+
+    it('computes without binary floating-point error', () => {
+        const engine = new CalculatorEngine({ arithmeticMode: 'decimal' });
+        assert.equal(evaluate(engine, '0.1+0.2'), '0.3');
+    });
+
+    it('rounds half up', () => {
+        assert.equal(rounded('half-up', '0.125*1'), '0.13');
+        assert.equal(rounded('half-up', '-0.125*1'), '-0.13');
+        assert.equal(rounded('half-up', '2/3'), '0.67');
+    });
+
+    it('rounds half to even', () => {
+        assert.equal(rounded('half-even', '0.125*1'), '0.12');
+        assert.equal(rounded('half-even', '0.135*1'), '0.14');
+    });
+
+    it('truncates', () => {
+        assert.equal(rounded('truncate', '2/3'), '0.66');
+        assert.equal(rounded('truncate', '-0.125*1'), '-0.12');
+    });
+});
+
+describe('fraction mode', () => {
+    it('keeps results exact', () => {
+        const engine = new CalculatorEngine({ arithmeticMode: 'fraction' });
+        assert.equal(evaluate(engine, '1/3+1/6'), '1/2');
+        assert.equal(evaluate(engine, '1 1/2 + 1/4'), '7/4');
+        assert.equal(evaluate(engine, '0.1+0.2'), '3/10');
+    });
+
+    it('shows results in the chosen format', () => {
+        const engine = new CalculatorEngine({ arithmeticMode: 'fraction' });
+        assert.equal(engine.formatNumber('7/2'), '7/2');
+        engine.setFractionFormat('mixed');
+        assert.equal(engine.formatNumber('7/2'), '3 1/2');
+        engine.setFractionFormat('decimal');
+        assert.equal(engine.formatNumber('7/2'), '3.5');
+    });
+
+    it('shows results that do not fit as a fraction as decimals', () => {
+        const engine = new CalculatorEngine({ arithmeticMode: 'fraction', locale: 'en-US' });
+        const shown = (expression) => engine.formatNumber(evaluate(engine, expression));
+        assert.equal(shown('sqrt(2)'), '1.4142135623730951');
+        assert.equal(shown('2^100/3'), '4.225502e+29');
+        assert.equal(shown('1/3'), '1/3');
+        engine.setFractionFormat('mixed');
+        assert.equal(shown('sqrt(2)'), '1.4142135623730951');
+        assert.ok(shown('1/7^20').length <= engine.MAX_DISPLAY_LENGTH);
+    });
+
+    it('converts a whole ratio before a unit', () => {
+        const engine = new CalculatorEngine({ arithmeticMode: 'fraction' });
+        assert.equal(evaluate(engine, '3/8 in to mm'), '381/40');
+        assert.equal(evaluate(engine, '1 3/8 in to mm'), '1397/40');
+        assert.equal(evaluate(engine, '1.5/2 in to mm'), '381/20');
+    });
+
+    it('reports division by zero', () => {
+        const engine = new CalculatorEngine({ arithmeticMode: 'fraction' });
+        assertFails('1/0', DivisionByZeroError, { position: 1 }, engine);
+    });
+});
+
+describe('programmer mode', () => {
+    it('wraps signed results around the word size', () => {
+        const engine = new CalculatorEngine();
+        engine.setArithmeticMode('programmer', { wordSize: 8, signed: true, radix: 10 });
+        assert.equal(evaluate(engine, '127+1'), '-128');
+        assert.equal(evaluate(engine, '-128-1'), '127');
+        assert.equal(evaluate(engine, '255*2'), '-2');
+    });
+
+    it('wraps unsigned results around the word size', () => {
+        const engine = new CalculatorEngine();
+        engine.setArithmeticMode('programmer', { wordSize: 8, signed: false, radix: 10 });
+        assert.equal(evaluate(engine, '255+1'), '0');
+        assert.equal(evaluate(engine, '0-1'), '255');
+        engine.setWordSize(16);
+        assert.equal(evaluate(engine, '65535+1'), '0');
+    });
+
+    it('reads and shows hexadecimal', () => {
+        const engine = new CalculatorEngine();
+        engine.setArithmeticMode('programmer', { wordSize: 8, signed: false, radix: 16 });
+        assert.equal(evaluate(engine, 'A*2'), '20');
+        assert.equal(engine.formatNumber('255'), 'FF');
+    });
+});
+
+describe('input sequences', () => {
+    it('evaluates with equal and records the history', () => {
+        const engine = press(['1', '2', '+', '3', 'equal']);
+        assert.equal(engine.currentExpression, '15');
+        assert.equal(engine.history.length, 1);
+        assert.equal(engine.history[0].expression, '12+3');
+    });
+
+    it('starts over when a digit follows a result', () => {
+        assert.equal(press(['1', '+', '2', 'equal', '3']).currentExpression, '3');
+    });
+
+    it('continues from a result when an operator follows it', () => {
+        assert.equal(press(['1', '+', '2', 'equal', '*', '2', 'equal']).currentExpression, '6');
+    });
+
+    it('replaces an operator typed after another', () => {
+        assert.equal(press(['1', '+', '*', '2']).currentExpression, '1*2');
+    });
+
+    it('allows one decimal point per number', () => {
+        assert.equal(press(['1', '.', '.', '5']).currentExpression, '1.5');
+    });
+
+    it('clears and deletes', () => {
+        assert.equal(press(['7', 'clear']).currentExpression, '');
+        assert.equal(press(['1', '2', '3', 'backspace']).currentExpression, '12');
+    });
+
+    it('undoes and redoes edits', () => {
+        assert.equal(press(['1', '+', '2', 'undo']).currentExpression, '1+');
+        assert.equal(press(['1', '+', '2', 'undo', 'redo']).currentExpression, '1+2');
+    });
+
+    it('uses the last answer', () => {
+        assert.equal(press(['2', 'equal', 'ans', '+', '1', 'equal']).currentExpression, '3');
+    });
+
+    it('closes function calls', () => {
+        assert.equal(press(['sqrt', '9', ')', 'equal']).currentExpression, '3');
+    });
+
+    it('keeps the expression and sets lastError when evaluation fails', () => {
+        const engine = press(['1', '/', '0', 'equal']);
+        assert.equal(engine.currentExpression, '1/0');
+        assert.ok(engine.lastError instanceof DivisionByZeroError);
+        assert.equal(engine.history.length, 0);
+    });
+
+    it('reports every result to onChange, also once the history is full', () => {
+        const evaluations = [];
+        const onChange = (kind, detail) => kind === 'evaluate' && evaluations.push(detail);
+        press(['1', '+', '1', 'equal', '2', 'equal', '1', '/', '0', 'equal'], { historyLimit: 1, onChange });
+
+        assert.deepEqual(evaluations, [{ expression: '1+1', result: '2' }, { expression: '2', result: '2' }]);
+    });
+});
+
+describe('memory', () => {
+    it('adds to memory and recalls it', () => {
+        assert.equal(press(['5', 'm+', '3', 'm+', 'mr']).currentExpression, '8');
+        assert.equal(press(['9', 'ms', '4', 'm-', 'mr']).currentExpression, '5');
+    });
+
+    it('starts a new number after a memory key', () => {
+        const engine = press(['5', 'm+', '3']);
+        assert.equal(engine.currentExpression, '3');
+        assert.equal(press(['5', 'm+', '+', '1', 'equal']).currentExpression, '6');
+    });
+
+    it('stores named registers', () => {
+        const engine = press(['4', '2']);
+        engine.storeNamedMemory('tax_rate');
+        assert.deepEqual(engine.namedMemory, { tax_rate: '42' });
+    });
+
+    it('rejects register names that are not identifiers', () => {
+        const engine = press(['4', '2']);
+        assert.throws(() => engine.storeNamedMemory('1 bad'), ExpressionSyntaxError);
+        assert.deepEqual(engine.namedMemory, {});
+    });
+});
+
+describe('unit conversion', () => {
+    const engine = new CalculatorEngine();
+
+    it('converts everything before the units', () => {
+        assert.equal(evaluate(engine, '2^2 km to m'), '4000');
+        assert.equal(evaluate(engine, '1+2 km to m'), '3000');
+        assert.equal(evaluate(engine, '-2^2 km to m'), '-4000');
+        assert.equal(evaluate(engine, '1.5/2 in to mm'), String(0.75 * 25.4));
+    });
+
+    it('converts inside parentheses and arguments', () => {
+        assert.equal(evaluate(engine, '(2 km to m)*2'), '4000');
+        assert.equal(evaluate(engine, 'sqrt(16 km to m)'), String(Math.sqrt(16000)));
+    });
+
+    it('reports a name that is not a unit as unexpected', () => {
+        assertFails('2pi', ExpressionSyntaxError, { position: 1, length: 2 });
+        assertFails('2 e', ExpressionSyntaxError, { position: 2, length: 1 });
+    });
+
+    it('reports an unknown unit before a conversion keyword', () => {
+        assertFails('2 foo to m', UnitError, { position: 2, length: 3 });
+        assertFails('2 km', ExpressionSyntaxError, { position: 4 });
+    });
+});
+
+describe('user functions', () => {
+    it('defines functions that call each other', () => {
+        const engine = new CalculatorEngine();
+        engine.defineFunction('double(x) = 2*x');
+        engine.defineFunction('quad(x) = double(double(x))');
+        assert.equal(evaluate(engine, 'quad(3)'), '12');
+    });
+
+    it('rejects recursion and wrong argument counts', () => {
+        const engine = new CalculatorEngine();
+        assert.throws(() => engine.defineFunction('f(x) = f(x)'), ExpressionSyntaxError);
+        engine.defineFunction('g(x) = x');
+        assert.throws(() => engine.defineFunction('h(x) = g(x, 1)'), ExpressionSyntaxError);
+    });
+
+    it('rejects names that are properties of every object', () => {
+        const engine = new CalculatorEngine();
+        ['__proto__', 'constructor', 'prototype'].forEach((name) => {
+            assert.throws(() => engine.defineFunction(`${name}(x) = x`), ExpressionSyntaxError);
+        });
+        assert.deepEqual(engine.exportFunctions(), { functions: [] });
+    });
+
+    it('exports and imports a library', () => {
+        const engine = new CalculatorEngine();
+        engine.defineFunction('hyp(a, b) = sqrt(a^2 + b^2)');
+        const library = JSON.stringify(engine.exportFunctions());
+
+        const other = new CalculatorEngine();
+        assert.deepEqual(other.importFunctions(library), ['hyp']);
+        assert.equal(evaluate(other, 'hyp(3, 4)'), '5');
+    });
+
+    it('imports all functions or none', () => {
+        const engine = new CalculatorEngine();
+        engine.defineFunction('keep(x) = x');
+        const library = { functions: ['ok(x) = x', '__proto__(x) = x'] };
+        assert.throws(() => engine.importFunctions(library), ExpressionSyntaxError);
+        assert.deepEqual(engine.exportFunctions(), { functions: ['keep(x) = x'] });
+        assert.throws(() => engine.importFunctions('{'), (error) => error.code === 'invalid-import');
+    });
+});
+
+describe('plugins', () => {
+    /**
+     * @returns {Object} A plugin with an operator, a function and a constant
+     */
+    const extra = () => ({
+        name: 'extra',
+        operators: { '@': { precedence: 2, apply: (a, b) => (a + b) / 2 } },
+        functions: { hyp: { arity: 2, apply: Math.hypot } },
+        constants: { phi: 1.618 }
+    });
+
+    it('adds operators, functions and constants', () => {
+        const engine = new CalculatorEngine();
+        assert.equal(engine.registerPlugin(extra()), 'extra');
+        assert.equal(evaluate(engine, '1+2@4'), '4');
+        assert.equal(evaluate(engine, 'hyp(3, 4)'), '5');
+        assert.equal(evaluate(engine, 'phi*2'), '3.236');
+        engine.setArithmeticMode('decimal');
+        assert.equal(evaluate(engine, '2@4'), '3');
+    });
+
+    it('checks calls to plugin functions and their results', () => {
+        const engine = new CalculatorEngine();
+        engine.registerPlugin(extra());
+        engine.registerPlugin({
+            name: 'failing',
+            functions: {
+                broken: { arity: 1, apply: () => { throw new Error('broken'); } },
+                undefinedValue: { arity: 0, apply: () => NaN }
+            }
+        });
+        assertFails('hyp(1)', ExpressionSyntaxError, { position: 0, length: 3 }, engine);
+        assertFails('1+broken(2)', MathDomainError, { position: 2 }, engine);
+        assertFails('undefinedValue()', MathDomainError, { position: 0 }, engine);
+    });
+
+    it('leaves programmer mode alone', () => {
+        const engine = new CalculatorEngine();
+        engine.registerPlugin(extra());
+        engine.setArithmeticMode('programmer');
+        assertFails('2@4', ExpressionSyntaxError, { position: 1 }, engine);
+    });
+
+    it('rejects plugins that would replace a name in use', () => {
+        const engine = new CalculatorEngine();
+        engine.registerPlugin(extra());
+        engine.assignVariable('rate', '2');
+        const invalid = (plugin) => assert.throws(() => engine.registerPlugin(plugin),
+            (error) => error instanceof CalculatorError && error.code === 'invalid-plugin');
+
+        invalid(extra());
+        invalid({ name: 'plus', operators: { '+': { precedence: 1, apply: (a, b) => a + b } } });
+        invalid({ name: 'sine', functions: { sin: { arity: 1, apply: Math.sin } } });
+        invalid({ name: 'rates', constants: { rate: 3 } });
+        invalid({ name: 'loose', operators: { '#': { precedence: 9, apply: (a, b) => a } } });
+    });
+
+    it('registers a plugin completely or not at all', () => {
+        const engine = new CalculatorEngine();
+        assert.throws(() => engine.registerPlugin({
+            name: 'partial',
+            constants: { tau: 6.283 },
+            functions: { half: { arity: 1, apply: (x) => x / 2 }, bad: { arity: -1, apply: (x) => x } }
+        }), CalculatorError);
+        assert.deepEqual(engine.getState().plugins, []);
+        assertFails('tau', ExpressionSyntaxError, { position: 0 }, engine);
+        assertFails('half(2)', ExpressionSyntaxError, { position: 0 }, engine);
+    });
+});
+
+describe('variables', () => {
+    it('assigns and uses variables', () => {
+        const engine = new CalculatorEngine();
+        engine.assignVariable('rate', '0.5');
+        assert.equal(evaluate(engine, 'rate*4'), '2');
+    });
+
+    it('rejects the conversion keywords as names', () => {
+        const engine = new CalculatorEngine();
+        assert.throws(() => engine.assignVariable('in', '3'), ExpressionSyntaxError);
+        assert.throws(() => engine.assignVariable('to', '3'), ExpressionSyntaxError);
+        assert.equal(evaluate(engine, '2 in to cm'), '5.08');
+    });
+
+    it('rejects names that are properties of every object', () => {
+        const engine = press(['4']);
+        ['__proto__', 'constructor', 'prototype'].forEach((name) => {
+            assert.throws(() => engine.assignVariable(name, '1'), ExpressionSyntaxError);
+            assert.throws(() => engine.storeNamedMemory(name), ExpressionSyntaxError);
+        });
+        assert.throws(() => engine.defineFunction('f(__proto__) = 1'), ExpressionSyntaxError);
+        assert.deepEqual(Object.keys(engine.variables), []);
+        assert.deepEqual(Object.keys(engine.namedMemory), []);
+    });
+
+    it('drops reserved names from a saved state', () => {
+        const engine = new CalculatorEngine();
+        engine.importState(JSON.parse('{"variables":{"__proto__":"1","rate":"2"}}'));
+        assert.deepEqual(Object.keys(engine.variables), ['rate']);
+        assert.equal(Object.getPrototypeOf(engine.variables), Object.prototype);
+    });
+});
+
+describe('display formatting', () => {
+    it('switches to scientific notation from the threshold in every mode', () => {
+        const engine = new CalculatorEngine({ locale: 'en-US' });
+        engine.setDisplayOptions({ scientificThreshold: 1e3 });
+        assert.equal(engine.formatNumber('1234567'), '1.234567e+6');
+        engine.setArithmeticMode('decimal');
+        assert.equal(engine.formatNumber('1234567'), '1.234567e+6');
+        assert.equal(engine.formatNumber('999.5'), '999.5');
+    });
+
+    it('fits exact decimals to the display including group separators', () => {
+        const engine = new CalculatorEngine({ arithmeticMode: 'decimal', locale: 'en-US' });
+        engine.setDisplayOptions({ scientificThreshold: 1e30 });
+        const formatted = engine.formatNumber('1414213562373095100000000');
+        assert.ok(formatted.length <= engine.MAX_DISPLAY_LENGTH, formatted);
+    });
+});
+
+describe('locales', () => {
+    it('reads pasted numbers written for the locale', () => {
+        const engine = new CalculatorEngine({ locale: 'de-DE' });
+        assert.equal(engine.delocalizeExpression('1.234,5'), '1234.5');
+    });
+
+    it('accepts a plain space between digit groups', () => {
+        const engine = new CalculatorEngine({ locale: 'fr-FR' });
+        assert.equal(engine.delocalizeExpression('1 234,5'), '1234.5');
+        assert.equal(engine.delocalizeExpression('1 1/2'), '1 1/2');
+    });
+});
+
+describe('state', () => {
+    it('restores a result of zero', () => {
+        const engine = press(['1', '-', '1', 'equal']);
+        const restored = new CalculatorEngine();
+        restored.importState(JSON.parse(JSON.stringify(engine.exportState())));
+        assert.equal(restored.currentExpression, '0');
+        assert.equal(restored.lastResult, 0);
+    });
+
+    it('ignores saved fields of the wrong type', () => {
+        const engine = new CalculatorEngine();
+        engine.importState({ currentExpression: 5, lastResult: { value: 1 }, lastAnswer: 2 });
+        assert.equal(engine.currentExpression, '');
+        assert.equal(engine.lastResult, null);
+        assert.equal(engine.lastAnswer, null);
+        engine.handleInput('7');
+        assert.equal(engine.currentExpression, '7');
+    });
+});
@@ -0,0 +1,186 @@
+/*
+ * Unit tests for saving and restoring calculators (CalculatorStorage and
+ * the Calculator's load methods in script.js). The calculators here are
+ * not mounted, so only their engine and storage are exercised.
+ */
+
+const { describe, it, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// script.js is a browser script that finds the engine as globals
+Object.assign(global, require('../calculator-engine.js'));
+const Calculator = require('../script.js');
+const { CalculatorStorage, MemoryStorage } = Calculator;
+
+/**
+ * Create a backend holding the given items
+ * @param {Object<string, string>} items - Stored texts by key
+ * @returns {MemoryStorage} The backend
+ */
+function backendWith(items) {
+    const backend = new MemoryStorage();
+    Object.keys(items).forEach((key) => backend.setItem(key, items[key]));
+    return backend;
+}
+
+// Calculators created by a test, destroyed after it
+let calculators = [];
+
+/**
+ * Create a calculator without a container
+ * @param {Object} [options] - Calculator options
+ * @returns {Calculator} The calculator
+ */
+function create(options) {
+    const calculator = new Calculator(null, options);
+    calculators.push(calculator);
+    return calculator;
+}
+
+/**
+ * Create a calculator without a container and restore what the backend holds
+ * @param {MemoryStorage} backend - Storage backend
+ * @returns {Calculator} The calculator
+ */
+function restore(backend) {
+    const calculator = create({ storage: backend, saveDelay: 0 });
+    calculator.storage.open();
+    calculator.restoreSavedData();
+    return calculator;
+}
+
+// Missing containers and discarded records are reported on the console
+beforeEach(() => {
+    mock.method(console, 'error', () => {});
+    mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+    calculators.forEach((calculator) => calculator.destroy());
+    calculators = [];
+    mock.restoreAll();
+});
+
+describe('schema versions', () => {
+    it('migrates unversioned data to version 2', () => {
+        const backend = backendWith({
+            calculatorState: JSON.stringify({ currentExpression: '1+2', isDark: false }),
+            calculatorTheme: 'solarized'
+        });
+        const storage = new CalculatorStorage({ backend, saveDelay: 0 });
+        storage.open();
+
+        assert.equal(backend.getItem('calculatorVersion'), '2');
+        assert.deepEqual(storage.read('State'), { currentExpression: '1+2' });
+        assert.equal(storage.read('Theme'), 'solarized');
+        assert.equal(backend.getItem('calculatorTheme'), '"solarized"');
+    });
+
+    it('takes the theme from the old dark flag when no theme was saved', () => {
+        const backend = backendWith({ calculatorState: JSON.stringify({ isDark: false }) });
+        const storage = new CalculatorStorage({ backend, saveDelay: 0 });
+        storage.open();
+
+        assert.equal(storage.read('Theme'), 'light');
+        assert.deepEqual(storage.read('State'), {});
+    });
+
+    it('neither reads nor changes data from a newer version', () => {
+        const backend = backendWith({ calculatorVersion: '3', calculatorState: '{"currentExpression":"7"}' });
+        const storage = new CalculatorStorage({ backend, saveDelay: 0 });
+        storage.open();
+        storage.write('State', { currentExpression: '8' });
+
+        assert.equal(storage.read('State'), null);
+        assert.equal(backend.getItem('calculatorState'), '{"currentExpression":"7"}');
+    });
+
+    it('keeps namespaces apart', () => {
+        const backend = new MemoryStorage();
+        const storage = new CalculatorStorage({ backend, namespace: 'panel', saveDelay: 0 });
+        storage.open();
+        storage.write('State', { currentExpression: '4' });
+
+        assert.equal(backend.getItem('panelState'), '{"currentExpression":"4"}');
+        assert.equal(backend.getItem('calculatorState'), null);
+    });
+});
+
+describe('storage namespaces', () => {
+    it('gives each calculator mounted without a namespace its own', () => {
+        const backend = new MemoryStorage();
+        const first = create({ storage: backend });
+        const second = create({ storage: backend });
+        const third = create({ storage: backend, storageNamespace: 'calculator3' });
+        const fourth = create({ storage: backend });
+
+        assert.equal(first.storageNamespace, 'calculator');
+        assert.equal(second.storageNamespace, 'calculator2');
+        assert.equal(third.storageNamespace, 'calculator3');
+        assert.equal(fourth.storageNamespace, 'calculator4');
+    });
+
+    it('names a calculator after its container id', () => {
+        create();
+        assert.equal(Calculator.defaultNamespace({ id: 'sidebar' }), 'calculator-sidebar');
+    });
+
+    it('frees the namespace of a destroyed calculator', () => {
+        create().destroy();
+        assert.equal(create().storageNamespace, 'calculator');
+    });
+});
+
+describe('damaged saved data', () => {
+    it('discards a record that is not JSON', () => {
+        const backend = backendWith({ calculatorVersion: '2', calculatorHistory: '{"entries":[' });
+        const calculator = restore(backend);
+
+        assert.deepEqual(calculator.engine.history, []);
+        assert.equal(backend.getItem('calculatorHistory'), null);
+    });
+
+    it('drops history entries that are not complete records', () => {
+        const good = { id: 1, expression: '1+1', result: '2', timestamp: 0 };
+        const backend = backendWith({
+            calculatorVersion: '2',
+            calculatorHistory: JSON.stringify({
+                limit: 5,
+                entries: [null, 3, 'x', { id: '2', expression: '2', result: '2' }, { id: 3, expression: 4, result: '4' }, good]
+            })
+        });
+        const calculator = restore(backend);
+
+        assert.deepEqual(calculator.engine.history, [good]);
+        assert.equal(calculator.engine.MAX_HISTORY_ENTRIES, 5);
+    });
+
+    it('ignores a history limit that is not a whole number', () => {
+        const backend = backendWith({ calculatorVersion: '2', calculatorHistory: '{"limit":"x","entries":[]}' });
+        const calculator = restore(backend);
+
+        assert.equal(calculator.engine.MAX_HISTORY_ENTRIES, new CalculatorEngine().MAX_HISTORY_ENTRIES);
+    });
+
+    it('drops memory registers that do not hold a value', () => {
+        const backend = backendWith({
+            calculatorVersion: '2',
+            calculatorMemory: JSON.stringify({ memory: 5, registers: { a: '1', b: null, c: { value: 2 }, '1 bad': '3' } })
+        });
+        const calculator = restore(backend);
+
+        assert.equal(calculator.engine.memory, null);
+        assert.deepEqual(calculator.engine.namedMemory, { a: '1' });
+    });
+
+    it('keeps working after restoring a state with wrong types', () => {
+        const backend = backendWith({
+            calculatorVersion: '2',
+            calculatorState: JSON.stringify({ currentExpression: 5, lastResult: {}, variables: [] })
+        });
+        const calculator = restore(backend);
+
+        calculator.engine.handleInput('7');
+        assert.equal(calculator.engine.currentExpression, '7');
+    });
+});
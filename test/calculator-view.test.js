@@ -0,0 +1,156 @@
+/*
+ * Unit tests for the DOM view in script.js that need no page: events,
+ * key bindings, installing plugins, reading results aloud and showing
+ * toggle buttons. The
+ * calculators here are not mounted.
+ */
+
+const { describe, it, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// script.js is a browser script that finds the engine as globals
+Object.assign(global, require('../calculator-engine.js'));
+const Calculator = require('../script.js');
+
+// Calculators created by a test, destroyed after it
+let calculators = [];
+
+/**
+ * Create a calculator without a container
+ * @param {Object} [options] - Calculator options
+ * @returns {Calculator} The calculator
+ */
+function create(options = {}) {
+    const calculator = new Calculator(null, { storage: new Calculator.MemoryStorage(), ...options });
+    calculators.push(calculator);
+    return calculator;
+}
+
+// Calculators without a container report the missing elements
+beforeEach(() => {
+    mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+    calculators.forEach((calculator) => calculator.destroy());
+    calculators = [];
+    mock.restoreAll();
+});
+
+describe('events', () => {
+    it('reports each result of equal, also once the history is full', () => {
+        const calculator = create();
+        calculator.engine.setHistoryLimit(1);
+        const evaluations = [];
+        calculator.on('evaluate', (detail) => evaluations.push(detail));
+        ['1', '+', '1', 'equal', '2', '*', '3', 'equal'].forEach((input) => calculator.handleInput(input));
+
+        assert.deepEqual(evaluations, [
+            { expression: '1+1', result: '2', formatted: '2' },
+            { expression: '2*3', result: '6', formatted: '6' }
+        ]);
+    });
+
+    it('reports results of evaluate but not its errors', () => {
+        const calculator = create({ engine: { locale: 'en-US' } });
+        const evaluations = [];
+        calculator.on('evaluate', (detail) => evaluations.push(detail));
+
+        assert.equal(calculator.evaluate('1000*3'), '3000');
+        assert.ok(calculator.evaluate('1/0') instanceof DivisionByZeroError);
+        assert.deepEqual(evaluations, [{ expression: '1000*3', result: '3000', formatted: '3,000' }]);
+    });
+});
+
+describe('key bindings', () => {
+    it('clears with Escape but not with a letter', () => {
+        const calculator = create();
+        calculator.buildKeyBindings();
+
+        assert.equal(calculator.getKeyAction('Escape'), 'clear');
+        assert.equal(calculator.getKeyAction('c'), null);
+        assert.equal(calculator.getKeyAction('C'), null);
+    });
+
+    it('types hex digits in programmer mode', () => {
+        const calculator = create();
+        calculator.buildKeyBindings();
+        calculator.engine.setArithmeticMode('programmer', { radix: 16 });
+
+        assert.equal(calculator.getKeyAction('c'), 'C');
+        assert.equal(calculator.getKeyAction('a'), 'A');
+    });
+
+    it('gives the user\'s bindings precedence over the defaults', () => {
+        const calculator = create();
+        calculator.customKeymap = { history: ['a'] };
+        calculator.buildKeyBindings();
+
+        assert.equal(calculator.getKeyAction('a'), 'history');
+    });
+});
+
+describe('reading aloud', () => {
+    it('reads exponents as powers of ten', () => {
+        const calculator = create();
+        assert.equal(calculator.speakExpression('1.5e+21'), '1.5 times 10 to the power of 21');
+        assert.equal(calculator.speakExpression('2e-7'), '2 times 10 to the power of minus 7');
+    });
+
+    it('reads operators as words when asked', () => {
+        const calculator = create({ speakOperators: true });
+        assert.equal(calculator.speakExpression('2+3*4'), '2 plus 3 times 4');
+        assert.equal(calculator.speakExpression('8÷2×3−1'), '8 divided by 2 times 3 minus 1');
+        assert.equal(calculator.speakExpression('1,5e-3^2'), '1,5 times 10 to the power of minus 3 to the power of 2');
+    });
+
+    it('leaves operators as they are otherwise', () => {
+        const calculator = create();
+        assert.equal(calculator.speakExpression('2+3'), '2+3');
+    });
+});
+
+describe('toggle buttons', () => {
+    it('report their state to screen readers', () => {
+        const calculator = create();
+        const classes = new Set();
+        const attributes = {};
+        const button = {
+            classList: { toggle: (name, on) => (on ? classes.add(name) : classes.delete(name)) },
+            setAttribute: (name, value) => { attributes[name] = value; }
+        };
+
+        calculator.setPressed(button, true);
+        assert.ok(classes.has('active'));
+        assert.equal(attributes['aria-pressed'], 'true');
+
+        calculator.setPressed(button, false);
+        assert.ok(!classes.has('active'));
+        assert.equal(attributes['aria-pressed'], 'false');
+    });
+});
+
+describe('plugins', () => {
+    it('installs a plugin with its key bindings', () => {
+        const calculator = create();
+        calculator.use({
+            name: 'average',
+            operators: { '@': { precedence: 2, apply: (a, b) => (a + b) / 2 } },
+            keymap: { '@': ['Ctrl+2'] }
+        });
+
+        assert.equal(calculator.evaluate('2@4'), '3');
+        assert.equal(calculator.getKeyAction('Ctrl+2'), '@');
+    });
+
+    it('installs nothing if any part is invalid', () => {
+        const calculator = create();
+        const invalid = (plugin) => assert.throws(() => calculator.use(plugin),
+            (error) => error instanceof CalculatorError && error.code === 'invalid-plugin');
+
+        invalid({ name: 'unlabeled', constants: { k: 1 }, buttons: [{ input: 'k' }] });
+        invalid({ name: 'badkey', constants: { k: 1 }, keymap: { k: ['Hyper+K'] } });
+        assert.deepEqual(calculator.engine.getState().plugins, []);
+        assert.ok(calculator.evaluate('k') instanceof CalculatorError);
+    });
+});